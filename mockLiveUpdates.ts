@@ -0,0 +1,213 @@
+/* eslint-disable @typescript-eslint/ban-ts-comment */
+import type { Plugin } from "vite";
+//@ts-ignore
+import { readFileSync } from "fs";
+
+// Dev-server stand-in for the live availability feed (src/api/live.ts):
+//
+//   GET  /api/developments/:id/events   SSE stream of `unit` events
+//   POST /api/developments/:id/events   broadcast a change, e.g.
+//        {"unitId":"a-101","status":"reserved"}
+//   GET  /api/developments/:id.json     the fixture with changes so far
+//   POST|DELETE /api/developments/:id/units/:unitId/reservation
+//        reserve or release a unit, 409 if it isn't available or reserved
+//
+// While anyone is connected a random unit is reserved, sold, released or
+// repriced every few seconds. Two tabs side by side show what one agent
+// sees when another takes a unit.
+
+// @types/node isn't installed; these are the bits of it used here
+declare function setTimeout(callback: () => void, ms: number): number;
+declare function clearTimeout(timer?: number): void;
+
+type Request = {
+  url?: string;
+  method?: string;
+  on: (
+    event: "data" | "end" | "close",
+    listener: (chunk: string) => void,
+  ) => void;
+};
+
+type Response = {
+  statusCode: number;
+  setHeader: (name: string, value: string) => void;
+  writeHead: (status: number, headers: Record<string, string>) => void;
+  write: (chunk: string) => void;
+  end: (body?: string) => void;
+};
+
+type MockUnit = { id: string; status: string; price: number };
+
+type Feed = {
+  development: { units: MockUnit[] } & Record<string, unknown>;
+  clients: Set<Response>;
+  nextEventId: number;
+  timer?: number;
+};
+
+const EVENTS_PATH = /^\/api\/developments\/([^/]+)\/events$/;
+const DEVELOPMENT_PATH = /^\/api\/developments\/([^/]+)\.json$/;
+const RESERVATION_PATH =
+  /^\/api\/developments\/([^/]+)\/units\/([^/]+)\/reservation$/;
+// what the random changes cycle through; "hidden" can only be posted
+const STATUSES = ["available", "reserved", "sold"];
+const UNIT_STATUSES = [...STATUSES, "hidden"];
+
+type Change = { unitId: string; status?: string; price?: number };
+
+// Mirrors isAvailabilityChange in src/api/live.ts, so a bad POST is refused
+// instead of being broadcast to every client.
+const isChange = (value: unknown): value is Change => {
+  if (typeof value !== "object" || value === null) return false;
+  const change = value as Record<string, unknown>;
+  return (
+    typeof change.unitId === "string" &&
+    (change.status === undefined ||
+      UNIT_STATUSES.includes(change.status as string)) &&
+    (change.price === undefined || Number.isFinite(change.price))
+  );
+};
+
+const feeds = new Map<string, Feed>();
+
+const feedFor = (id: string) => {
+  let feed = feeds.get(id);
+  if (!feed) {
+    const path = `public/api/developments/${id}.json`;
+    let development: Feed["development"];
+    try {
+      development = JSON.parse(readFileSync(path, "utf8"));
+    } catch {
+      return null;
+    }
+    feed = { development, clients: new Set(), nextEventId: 1 };
+    feeds.set(id, feed);
+  }
+  return feed;
+};
+
+const publish = (feed: Feed, change: Change) => {
+  const { unitId, status, price } = change;
+  const unit = feed.development.units.find(({ id }) => id === unitId);
+  if (!unit) return false;
+  if (status !== undefined) unit.status = status;
+  if (price !== undefined) unit.price = price;
+  // only the known fields, whatever else was posted
+  const at = new Date().toISOString();
+  const data = JSON.stringify({ unitId, status, price, at });
+  const event = `id: ${feed.nextEventId++}\nevent: unit\ndata: ${data}\n\n`;
+  feed.clients.forEach((client) => client.write(event));
+  return true;
+};
+
+const randomChange = (feed: Feed) => {
+  const units = feed.development.units.filter(
+    ({ status }) => status !== "hidden",
+  );
+  const unit = units[Math.floor(Math.random() * units.length)];
+  if (!unit) return;
+  if (Math.random() < 0.25) {
+    publish(feed, {
+      unitId: unit.id,
+      price:
+        Math.round((unit.price * (0.95 + Math.random() * 0.1)) / 1000) * 1000,
+    });
+  } else {
+    const others = STATUSES.filter((status) => status !== unit.status);
+    publish(feed, {
+      unitId: unit.id,
+      status: others[Math.floor(Math.random() * others.length)],
+    });
+  }
+};
+
+const schedule = (feed: Feed) => {
+  feed.timer = setTimeout(
+    () => {
+      randomChange(feed);
+      schedule(feed);
+    },
+    4000 + Math.random() * 6000,
+  );
+};
+
+export const mockLiveUpdates = (): Plugin => ({
+  name: "mock-live-updates",
+  apply: "serve",
+  configureServer(server) {
+    server.middlewares.use((incoming, outgoing, next) => {
+      const req = incoming as unknown as Request;
+      const res = outgoing as unknown as Response;
+      const url = (req.url ?? "").split("?")[0];
+      const events = EVENTS_PATH.exec(url);
+      const snapshot = DEVELOPMENT_PATH.exec(url);
+      const reservation = RESERVATION_PATH.exec(url);
+      const match = events ?? snapshot ?? reservation;
+      // everything else the dev server handles (modules, HMR, assets)
+      if (!match) return next();
+      const feed = feedFor(decodeURIComponent(match[1]));
+      if (!feed) return next();
+
+      if (reservation) {
+        const unitId = decodeURIComponent(reservation[2]);
+        const unit = feed.development.units.find(({ id }) => id === unitId);
+        const reserve = req.method === "POST";
+        if (!reserve && req.method !== "DELETE") {
+          res.statusCode = 405;
+        } else if (!unit) {
+          res.statusCode = 404;
+        } else if (unit.status !== (reserve ? "available" : "reserved")) {
+          res.statusCode = 409;
+        } else {
+          publish(feed, {
+            unitId,
+            status: reserve ? "reserved" : "available",
+          });
+          res.statusCode = 204;
+        }
+        res.end();
+        return;
+      }
+
+      if (snapshot) {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify(feed.development));
+        return;
+      }
+
+      if (req.method === "POST") {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          let change: unknown = null;
+          try {
+            change = JSON.parse(body);
+          } catch {
+            // answered below
+          }
+          if (!isChange(change)) {
+            res.statusCode = 400;
+          } else {
+            res.statusCode = publish(feed, change) ? 204 : 404;
+          }
+          res.end();
+        });
+        return;
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      feed.clients.add(res);
+      if (feed.clients.size === 1) schedule(feed);
+      req.on("close", () => {
+        feed.clients.delete(res);
+        if (feed.clients.size === 0) clearTimeout(feed.timer);
+      });
+    });
+  },
+});
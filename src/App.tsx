@@ -1,9 +1,72 @@
+import { lazy, Suspense, useState } from "react";
 import "./App.css";
+import ViewerProvider from "./bridge/ViewerProvider";
+import AnimationControls from "./components/AnimationControls";
+import CameraPresets from "./components/CameraPresets";
+import LoadingScreen from "./components/LoadingScreen";
+import TourControls from "./components/TourControls";
+import UnitList from "./components/UnitList";
+import UnitPanel from "./components/UnitPanel";
+import UrlStateSync from "./components/UrlStateSync";
 import Viewer from "./components/Viewer";
+import { parseUrlState, type PanelId } from "./url/urlState";
+
+const initialUrlState = parseUrlState(window.location.search);
+
+// dev builds only, the branch is dropped from production bundles
+const TrafficInspector = import.meta.env.DEV
+  ? lazy(() => import("./devtools/TrafficInspector"))
+  : null;
+
+// QA builds can opt in with VITE_SESSION_RECORDER=true
+const SessionControls =
+  import.meta.env.DEV || import.meta.env.VITE_SESSION_RECORDER === "true"
+    ? lazy(() => import("./devtools/SessionControls"))
+    : null;
+
 function App() {
+  const [panels, setPanels] = useState<PanelId[]>(initialUrlState.panels);
+  const isListOpen = panels.includes("list");
   return (
     <div className="App">
-      <Viewer />
+      <ViewerProvider initialFilters={initialUrlState.filters}>
+        <UrlStateSync initial={initialUrlState} panels={panels} />
+        <Viewer />
+        <CameraPresets />
+        <AnimationControls />
+        <TourControls />
+        <button
+          aria-pressed={isListOpen}
+          onClick={() =>
+            setPanels(
+              isListOpen
+                ? panels.filter((panel) => panel !== "list")
+                : [...panels, "list"],
+            )
+          }
+          style={{
+            position: "absolute",
+            top: 0,
+            left: "50%",
+            transform: "translateX(-50%)",
+          }}
+        >
+          Units
+        </button>
+        {isListOpen && <UnitList />}
+        <UnitPanel />
+        <LoadingScreen />
+        {SessionControls && (
+          <Suspense fallback={null}>
+            <SessionControls />
+          </Suspense>
+        )}
+        {TrafficInspector && (
+          <Suspense fallback={null}>
+            <TrafficInspector />
+          </Suspense>
+        )}
+      </ViewerProvider>
     </div>
   );
 }
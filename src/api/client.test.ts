@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import demo from "../../public/api/developments/demo.json?raw";
+import { ApiError, fetchDevelopment } from "./client";
+import type { Development } from "./types";
+
+const serve = (body: unknown) =>
+  vi.stubGlobal("fetch", async () => new Response(JSON.stringify(body)));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe("fetchDevelopment", () => {
+  const development: Development = JSON.parse(demo);
+
+  it("keeps every unit of a valid development", async () => {
+    serve(development);
+    const data = await fetchDevelopment("demo");
+    expect(data.units).toHaveLength(development.units.length);
+  });
+
+  it("drops units with an unknown status or malformed fields", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const [first, second, third, ...rest] = development.units;
+    serve({
+      ...development,
+      units: [
+        { ...first, status: "pending" },
+        { ...second, price: "450000" },
+        { ...third, name: 7 },
+        ...rest,
+      ],
+    });
+    const data = await fetchDevelopment("demo");
+    expect(data.units).toEqual(rest);
+    expect(warn).toHaveBeenCalledOnce();
+  });
+
+  it("rejects a payload that isn't a development", async () => {
+    serve({ id: "demo" });
+    await expect(fetchDevelopment("demo", { retries: 0 })).rejects.toThrow(
+      ApiError,
+    );
+  });
+
+  it("drops malformed camera presets and tours", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const [preset, ...presets] = development.cameraPresets ?? [];
+    const [tour, ...tours] = development.tours ?? [];
+    serve({
+      ...development,
+      cameraPresets: [{ ...preset, camera: { position: [0, 0] } }, ...presets],
+      tours: [{ ...tour, cues: "none" }, ...tours],
+    });
+    const data = await fetchDevelopment("demo");
+    expect(data.cameraPresets).toEqual(presets);
+    expect(data.tours).toEqual(tours);
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    ["a missing", undefined],
+    ["an unknown", "EURO"],
+  ])("rejects a development with %s currency", async (_, currency) => {
+    serve({ ...development, currency });
+    await expect(fetchDevelopment("demo", { retries: 0 })).rejects.toThrow(
+      "did not return a development",
+    );
+  });
+});
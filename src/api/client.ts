@@ -0,0 +1,206 @@
+import { isCameraPreset } from "../bridge/camera";
+import { isTour } from "../tour/types";
+import {
+  ORIENTATIONS,
+  UNIT_STATUSES,
+  type Development,
+  type Orientation,
+  type Unit,
+  type UnitStatus,
+} from "./types";
+
+export class ApiError extends Error {
+  // HTTP status, absent for network failures and malformed payloads
+  readonly status?: number;
+
+  constructor(message: string, status?: number) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+// `{id}` is replaced with the development id. Defaults to the fixtures in
+// public/api so the app runs offline against the dev server.
+export const DEVELOPMENT_URL =
+  import.meta.env.VITE_DEVELOPMENT_API_URL ?? "/api/developments/{id}.json";
+
+export const DEVELOPMENT_ID = import.meta.env.VITE_DEVELOPMENT_ID ?? "demo";
+
+// `{id}` and `{unitId}` are replaced. POST reserves the unit, DELETE releases
+// it, and 409 means it changed hands first. Dev builds default to the mock in
+// mockLiveUpdates.ts; production only offers reservations when configured.
+export const RESERVATION_URL: string | null =
+  import.meta.env.VITE_RESERVATION_API_URL ??
+  (import.meta.env.DEV
+    ? "/api/developments/{id}/units/{unitId}/reservation"
+    : null);
+
+export type FetchOptions = {
+  signal?: AbortSignal;
+  retries?: number;
+  retryDelay?: number;
+  url?: string;
+};
+
+const isUnit = (value: unknown): value is Unit => {
+  if (typeof value !== "object" || value === null) return false;
+  const unit = value as Record<string, unknown>;
+  return (
+    ["id", "name", "buildingId", "floorId"].every(
+      (key) => typeof unit[key] === "string",
+    ) &&
+    ["bedrooms", "area", "price"].every((key) => Number.isFinite(unit[key])) &&
+    UNIT_STATUSES.includes(unit.status as UnitStatus) &&
+    ORIENTATIONS.includes(unit.orientation as Orientation) &&
+    (unit.floorPlanUrl === undefined || typeof unit.floorPlanUrl === "string")
+  );
+};
+
+// Prices are formatted with it during render, where an unknown code would
+// throw, so it is checked the same way up front.
+const isCurrency = (value: unknown): value is string => {
+  if (typeof value !== "string") return false;
+  try {
+    new Intl.NumberFormat(undefined, { style: "currency", currency: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isOptionalList = (value: unknown) =>
+  value === undefined || Array.isArray(value);
+
+const isDevelopment = (value: unknown): value is Development => {
+  if (typeof value !== "object" || value === null) return false;
+  const data = value as Record<string, unknown>;
+  return (
+    typeof data.id === "string" &&
+    typeof data.name === "string" &&
+    isCurrency(data.currency) &&
+    Array.isArray(data.buildings) &&
+    Array.isArray(data.floors) &&
+    Array.isArray(data.units) &&
+    isOptionalList(data.cameraPresets) &&
+    isOptionalList(data.tours)
+  );
+};
+
+// One bad entry (say a unit status this build doesn't know) shouldn't take
+// the whole development down, so it is left out rather than rejected.
+const keepValid = <T>(
+  entries: readonly unknown[],
+  isValid: (entry: unknown) => entry is T,
+  label: string,
+) => {
+  const invalid = entries.filter((entry) => !isValid(entry));
+  if (invalid.length > 0) {
+    console.warn(`[api] dropped ${invalid.length} invalid ${label}`, invalid);
+  }
+  return entries.filter(isValid);
+};
+
+// Client errors won't get better by asking again.
+const isRetryable = (error: unknown) =>
+  !(
+    error instanceof ApiError &&
+    error.status !== undefined &&
+    error.status >= 400 &&
+    error.status < 500
+  );
+
+const wait = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+
+const fetchOnce = async (url: string, signal?: AbortSignal) => {
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      signal,
+      headers: { Accept: "application/json" },
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    throw new ApiError(`network error fetching ${url}`);
+  }
+  if (!response.ok) {
+    throw new ApiError(
+      `${url} responded ${response.status} ${response.statusText}`,
+      response.status,
+    );
+  }
+  const body: unknown = await response.json().catch(() => null);
+  if (!isDevelopment(body)) {
+    throw new ApiError(`${url} did not return a development`);
+  }
+  const { cameraPresets, tours } = body;
+  return {
+    ...body,
+    units: keepValid(body.units, isUnit, "unit(s)"),
+    ...(cameraPresets && {
+      cameraPresets: keepValid(
+        cameraPresets,
+        isCameraPreset,
+        "camera preset(s)",
+      ),
+    }),
+    ...(tours && { tours: keepValid(tours, isTour, "tour(s)") }),
+  };
+};
+
+export const changeReservation = async (
+  id: string,
+  unitId: string,
+  reserved: boolean,
+  url: string | null = RESERVATION_URL,
+) => {
+  if (!url) throw new ApiError("reservations are not configured");
+  const target = url
+    .replace("{id}", encodeURIComponent(id))
+    .replace("{unitId}", encodeURIComponent(unitId));
+  let response: Response;
+  try {
+    response = await fetch(target, { method: reserved ? "POST" : "DELETE" });
+  } catch {
+    throw new ApiError(`network error reaching ${target}`);
+  }
+  if (!response.ok) {
+    throw new ApiError(
+      `${target} responded ${response.status} ${response.statusText}`,
+      response.status,
+    );
+  }
+};
+
+export const fetchDevelopment = async (
+  id: string,
+  {
+    signal,
+    retries = 3,
+    retryDelay = 500,
+    url = DEVELOPMENT_URL,
+  }: FetchOptions = {},
+) => {
+  const target = url.replace("{id}", encodeURIComponent(id));
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(target, signal);
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      await wait(retryDelay * 2 ** attempt, signal);
+    }
+  }
+};
@@ -0,0 +1,76 @@
+import type { Development, Orientation, Unit, UnitStatus } from "./types";
+
+// Empty lists and null bounds mean "don't filter on this".
+export type UnitFilters = {
+  search: string;
+  bedrooms: number[];
+  minPrice: number | null;
+  maxPrice: number | null;
+  floors: number[];
+  statuses: UnitStatus[];
+  orientations: Orientation[];
+};
+
+export const EMPTY_FILTERS: UnitFilters = {
+  search: "",
+  bedrooms: [],
+  minPrice: null,
+  maxPrice: null,
+  floors: [],
+  statuses: [],
+  orientations: [],
+};
+
+export const isFiltering = (filters: UnitFilters) =>
+  filters.search.trim() !== "" ||
+  filters.bedrooms.length > 0 ||
+  filters.minPrice !== null ||
+  filters.maxPrice !== null ||
+  filters.floors.length > 0 ||
+  filters.statuses.length > 0 ||
+  filters.orientations.length > 0;
+
+export const matchesFilters = (
+  unit: Unit,
+  filters: UnitFilters,
+  development: Development,
+) => {
+  const floor = development.floors.find(({ id }) => id === unit.floorId);
+  const building = development.buildings.find(
+    ({ id }) => id === unit.buildingId,
+  );
+  const search = filters.search.trim().toLowerCase();
+  if (
+    search &&
+    !unit.name.toLowerCase().includes(search) &&
+    !building?.name.toLowerCase().includes(search)
+  ) {
+    return false;
+  }
+  if (filters.bedrooms.length && !filters.bedrooms.includes(unit.bedrooms)) {
+    return false;
+  }
+  if (filters.minPrice !== null && unit.price < filters.minPrice) return false;
+  if (filters.maxPrice !== null && unit.price > filters.maxPrice) return false;
+  if (
+    filters.floors.length &&
+    (!floor || !filters.floors.includes(floor.level))
+  ) {
+    return false;
+  }
+  if (filters.statuses.length && !filters.statuses.includes(unit.status)) {
+    return false;
+  }
+  if (
+    filters.orientations.length &&
+    !filters.orientations.includes(unit.orientation)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+export const filterUnits = (development: Development, filters: UnitFilters) =>
+  development.units.filter((unit) =>
+    matchesFilters(unit, filters, development),
+  );
@@ -0,0 +1,49 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { subscribeToAvailability } from "./live";
+
+// jsdom has no EventSource; this one is opened and failed by hand
+class FakeEventSource {
+  static last: FakeEventSource | null = null;
+  onopen: (() => void) | null = null;
+  onerror: (() => void) | null = null;
+  readonly url: string;
+
+  constructor(url: string) {
+    this.url = url;
+    FakeEventSource.last = this;
+  }
+
+  addEventListener() {}
+  close() {}
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.stubGlobal("EventSource", FakeEventSource);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("subscribeToAvailability", () => {
+  it("asks for a catch-up on the first open and after every reconnect", () => {
+    const onOpen = vi.fn();
+    const unsubscribe = subscribeToAvailability("demo", {
+      url: "/api/developments/{id}/events",
+      onChange: () => {},
+      onOpen,
+    });
+    expect(FakeEventSource.last?.url).toBe("/api/developments/demo/events");
+
+    FakeEventSource.last?.onopen?.();
+    expect(onOpen).toHaveBeenCalledTimes(1);
+
+    FakeEventSource.last?.onerror?.();
+    vi.runOnlyPendingTimers();
+    FakeEventSource.last?.onopen?.();
+    expect(onOpen).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+});
@@ -0,0 +1,114 @@
+import { UNIT_STATUSES, type UnitStatus } from "./types";
+
+// Live availability feed: a Server-Sent Events stream of unit changes made
+// elsewhere (other agents, the booking system). `{id}` is replaced with the
+// development id. Dev builds default to the mock served by the Vite plugin
+// in mockLiveUpdates.ts; production only connects when a URL is configured.
+export const LIVE_UPDATES_URL: string | null =
+  import.meta.env.VITE_LIVE_UPDATES_URL ??
+  (import.meta.env.DEV ? "/api/developments/{id}/events" : null);
+
+export type LiveStatus = "off" | "connecting" | "open" | "reconnecting";
+
+// One `unit` event on the stream.
+export type AvailabilityChange = {
+  unitId: string;
+  status?: UnitStatus;
+  price?: number;
+  // ISO timestamp of the change at the source
+  at: string;
+};
+
+export const isAvailabilityChange = (
+  value: unknown,
+): value is AvailabilityChange => {
+  if (typeof value !== "object" || value === null) return false;
+  const data = value as Record<string, unknown>;
+  return (
+    typeof data.unitId === "string" &&
+    typeof data.at === "string" &&
+    (data.status === undefined ||
+      UNIT_STATUSES.includes(data.status as UnitStatus)) &&
+    (data.price === undefined || typeof data.price === "number")
+  );
+};
+
+export type SubscribeOptions = {
+  onChange: (change: AvailabilityChange) => void;
+  onStatus?: (status: LiveStatus) => void;
+  // the stream (re)opened; changes from before that, whether since the data
+  // was fetched or while it was down, were missed
+  onOpen?: () => void;
+  url?: string | null;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+};
+
+// Connects and keeps reconnecting with jittered exponential backoff until the
+// returned function is called. EventSource's own retry is bypassed because it
+// retries at a fixed interval and gives up on HTTP errors.
+export const subscribeToAvailability = (
+  id: string,
+  {
+    onChange,
+    onStatus,
+    onOpen,
+    url = LIVE_UPDATES_URL,
+    retryDelay = 1000,
+    maxRetryDelay = 30000,
+  }: SubscribeOptions,
+) => {
+  if (!url) {
+    onStatus?.("off");
+    return () => {};
+  }
+  const target = url.replace("{id}", encodeURIComponent(id));
+  let source: EventSource | null = null;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let attempt = 0;
+  let hasOpened = false;
+  let closed = false;
+
+  const handleUnit = (event: MessageEvent) => {
+    let change: unknown = null;
+    try {
+      change = JSON.parse(event.data);
+    } catch {
+      // reported below
+    }
+    if (!isAvailabilityChange(change)) {
+      console.warn("[live-updates] dropped malformed event", event.data);
+      return;
+    }
+    onChange(change);
+  };
+
+  const connect = () => {
+    onStatus?.(hasOpened || attempt > 0 ? "reconnecting" : "connecting");
+    source = new EventSource(target);
+    source.addEventListener("unit", handleUnit);
+    source.onopen = () => {
+      attempt = 0;
+      onStatus?.("open");
+      hasOpened = true;
+      onOpen?.();
+    };
+    source.onerror = () => {
+      source?.close();
+      source = null;
+      if (closed) return;
+      const delay = Math.min(maxRetryDelay, retryDelay * 2 ** attempt++);
+      onStatus?.("reconnecting");
+      timer = setTimeout(connect, delay * (0.5 + Math.random() / 2));
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    source?.close();
+    source = null;
+  };
+};
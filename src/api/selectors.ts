@@ -0,0 +1,18 @@
+import type { Development, Unit } from "./types";
+
+export const findUnitByName = (development: Development, name: string) =>
+  development.units.find((unit) => unit.name === name) ?? null;
+
+export const findFloor = (development: Development, unit: Unit) =>
+  development.floors.find((floor) => floor.id === unit.floorId) ?? null;
+
+export const findBuilding = (development: Development, unit: Unit) =>
+  development.buildings.find((building) => building.id === unit.buildingId) ??
+  null;
+
+export const formatPrice = (price: number, currency: string) =>
+  new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 0,
+  }).format(price);
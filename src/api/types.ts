@@ -0,0 +1,64 @@
+import type { CameraPreset } from "../bridge/camera";
+import type { Tour } from "../tour/types";
+
+// Development data as served by the developments API. Lists are flat and
+// linked by id so they can be filtered and diffed without walking a tree.
+
+export type UnitStatus = "available" | "reserved" | "sold" | "hidden";
+
+export const UNIT_STATUSES: readonly UnitStatus[] = [
+  "available",
+  "reserved",
+  "sold",
+  "hidden",
+];
+
+export type Orientation = "N" | "NE" | "E" | "SE" | "S" | "SW" | "W" | "NW";
+
+export const ORIENTATIONS: readonly Orientation[] = [
+  "N",
+  "NE",
+  "E",
+  "SE",
+  "S",
+  "SW",
+  "W",
+  "NW",
+];
+
+export type Building = {
+  id: string;
+  name: string;
+};
+
+export type Floor = {
+  id: string;
+  buildingId: string;
+  level: number;
+  name: string;
+};
+
+export type Unit = {
+  id: string;
+  // mesh name in the 3D scene, matches `infoPoint.name`
+  name: string;
+  buildingId: string;
+  floorId: string;
+  bedrooms: number;
+  area: number;
+  price: number;
+  orientation: Orientation;
+  status: UnitStatus;
+  floorPlanUrl?: string;
+};
+
+export type Development = {
+  id: string;
+  name: string;
+  currency: string;
+  buildings: Building[];
+  floors: Floor[];
+  units: Unit[];
+  cameraPresets?: CameraPreset[];
+  tours?: Tour[];
+};
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useState } from "react";
+import { changeReservation, fetchDevelopment } from "./client";
+import {
+  subscribeToAvailability,
+  type AvailabilityChange,
+  type LiveStatus,
+} from "./live";
+import type { Development, Unit } from "./types";
+
+export type UnitChanges = Partial<Pick<Unit, "status" | "price">>;
+
+export type DevelopmentState =
+  | { status: "loading"; data: null; error: null }
+  | { status: "success"; data: Development; error: null }
+  | { status: "error"; data: null; error: Error };
+
+const LOADING: DevelopmentState = {
+  status: "loading",
+  data: null,
+  error: null,
+};
+
+export const useDevelopment = (id: string) => {
+  const [state, setState] = useState<DevelopmentState>(LOADING);
+  const [attempt, setAttempt] = useState(0);
+  const [live, setLive] = useState<LiveStatus>("off");
+  const [lastChange, setLastChange] = useState<AvailabilityChange | null>(null);
+  const isLoaded = state.status === "success";
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState(LOADING);
+    fetchDevelopment(id, { signal: controller.signal })
+      .then((data) => setState({ status: "success", data, error: null }))
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        setState({
+          status: "error",
+          data: null,
+          error: error instanceof Error ? error : new Error(String(error)),
+        });
+      });
+    return () => controller.abort();
+  }, [id, attempt]);
+
+  const retry = useCallback(() => setAttempt((n) => n + 1), []);
+
+  // Applies a local change (e.g. a reservation made in this session) without
+  // refetching the whole development.
+  const updateUnit = useCallback((unitId: string, changes: UnitChanges) => {
+    setState((current) =>
+      current.status === "success"
+        ? {
+            ...current,
+            data: {
+              ...current.data,
+              units: current.data.units.map((unit) =>
+                unit.id === unitId ? { ...unit, ...changes } : unit,
+              ),
+            },
+          }
+        : current,
+    );
+  }, []);
+
+  // Reserves or releases a unit through the API. Rejects with an ApiError,
+  // status 409 if someone else changed the unit first. The live feed echoes
+  // the change back, so a refetch after reconnecting keeps it.
+  const setReservation = useCallback(
+    async (unitId: string, reserved: boolean) => {
+      await changeReservation(id, unitId, reserved);
+      updateUnit(unitId, { status: reserved ? "reserved" : "available" });
+    },
+    [id, updateUnit],
+  );
+
+  // Once loaded, follow the live feed. Whatever changed before the stream
+  // opened, since the fetch or while it was down, is caught up by refetching
+  // the units every time it opens.
+  useEffect(() => {
+    if (!isLoaded) return;
+    const controller = new AbortController();
+    const unsubscribe = subscribeToAvailability(id, {
+      onChange: (change) => {
+        const { unitId, status, price } = change;
+        updateUnit(unitId, {
+          ...(status !== undefined && { status }),
+          ...(price !== undefined && { price }),
+        });
+        setLastChange(change);
+      },
+      onStatus: setLive,
+      onOpen: () => {
+        fetchDevelopment(id, { signal: controller.signal })
+          .then(({ units }) =>
+            setState((current) =>
+              current.status === "success"
+                ? { ...current, data: { ...current.data, units } }
+                : current,
+            ),
+          )
+          .catch((error) => {
+            if (controller.signal.aborted) return;
+            console.warn("[live-updates] catching up failed", error);
+          });
+      },
+    });
+    return () => {
+      controller.abort();
+      unsubscribe();
+      setLive("off");
+    };
+  }, [id, isLoaded, updateUnit]);
+
+  return { ...state, retry, updateUnit, setReservation, live, lastChange };
+};
@@ -0,0 +1,76 @@
+import { createContext, type RefObject } from "react";
+import type { UnitFilters } from "../api/filters";
+import type { AvailabilityChange, LiveStatus } from "../api/live";
+import type { Development } from "../api/types";
+import type { DevelopmentState, UnitChanges } from "../api/useDevelopment";
+import type { AnimationDescriptor, AnimationPlayState } from "./animations";
+import type { BootPhaseName, HandshakeState } from "./boot";
+import type { ViewerCapabilities } from "./handshake";
+import type { ViewerMessage } from "./protocol";
+import type { RpcClient } from "./rpc";
+import type { SessionRecording } from "./session";
+import type { WatchdogState } from "./watchdog";
+
+export type { HandshakeState };
+
+export type ViewerStatus = {
+  phase: BootPhaseName;
+  // asset download progress reported by the viewer, 0-100
+  progress: number | null;
+  isLoadingComplete: boolean;
+  isSceneReady: boolean;
+  handshake: HandshakeState;
+  capabilities: ViewerCapabilities | null;
+  developmentData: Development | null;
+  dataStatus: DevelopmentState["status"];
+  dataError: Error | null;
+  // live availability feed, see api/live.ts
+  liveStatus: LiveStatus;
+  lastChange: AvailabilityChange | null;
+  activeUnit: string | null;
+  filters: UnitFilters;
+  // last camera preset the host moved to
+  cameraPreset: string | null;
+  animations: AnimationDescriptor[];
+  // by animation name, absent means stopped
+  animationStates: Record<string, AnimationPlayState>;
+  watchdog: WatchdogState;
+};
+
+export type ViewerMessageListener = (message: ViewerMessage) => void;
+
+export type ViewerBridge = {
+  // viewer page, including this instance's `?instance=` id
+  src: string;
+  instanceId: string;
+  iframeRef: RefObject<HTMLIFrameElement | null>;
+  // changes every time the iframe is reloaded, use as its `key`
+  bootId: number;
+  // the iframe should show about:blank, see detachViewer
+  detached: boolean;
+  status: ViewerStatus;
+  call: RpcClient["call"];
+  selectUnit: (name: string | null) => void;
+  setFilters: (filters: UnitFilters) => void;
+  setCameraPreset: (id: string | null) => void;
+  setAnimationState: (name: string, state: AnimationPlayState) => void;
+  retryData: () => void;
+  updateUnit: (unitId: string, changes: UnitChanges) => void;
+  // see useDevelopment's setReservation
+  setReservation: (unitId: string, reserved: boolean) => Promise<void>;
+  reloadViewer: () => void;
+  subscribe: (listener: ViewerMessageListener) => () => void;
+  // both take payloads as logged, see snapshotPayload in traffic.ts
+  postRaw: (payload: unknown) => void;
+  // handled as if the viewer had posted it, bypassing origin checks
+  injectViewerMessage: (payload: unknown) => void;
+  // blanks the viewer for a host replay; call the result to boot it again
+  detachViewer: () => () => void;
+  session: {
+    isRecording: boolean;
+    start: () => void;
+    stop: () => SessionRecording;
+  };
+};
+
+export const ViewerContext = createContext<ViewerBridge | null>(null);
@@ -0,0 +1,263 @@
+import { act, render, waitFor } from "@testing-library/react";
+import { StrictMode } from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import demo from "../../public/api/developments/demo.json?raw";
+import Viewer from "../components/Viewer";
+import { attachMockViewer } from "../mock/attachMockViewer";
+import { useAnimations, useViewerBridge } from "./hooks";
+import { HOST_COMMANDS, PROTOCOL_VERSION } from "./protocol";
+import { trafficLog } from "./traffic";
+import { STATUS_STYLES } from "./unitStyles";
+import type { ViewerBridge } from "./ViewerContext";
+import ViewerProvider from "./ViewerProvider";
+
+let bridge: ViewerBridge;
+
+const Probe = () => {
+  bridge = useViewerBridge();
+  return null;
+};
+
+// stands in for two independent controls, e.g. an AnimationRow and a tour
+const players: ReturnType<typeof useAnimations>[] = [];
+
+const AnimationProbe = ({ index }: { index: number }) => {
+  players[index] = useAnimations();
+  return null;
+};
+
+type MockOptions = Parameters<typeof attachMockViewer>[1];
+
+const tree = (src?: string) => (
+  <ViewerProvider developmentId="demo" src={src}>
+    <Viewer />
+    <Probe />
+    <AnimationProbe index={0} />
+    <AnimationProbe index={1} />
+  </ViewerProvider>
+);
+
+const renderViewer = (options: MockOptions = {}, { strict = false } = {}) => {
+  const wrap = (src?: string) =>
+    strict ? <StrictMode>{tree(src)}</StrictMode> : tree(src);
+  const { container, rerender, unmount } = render(wrap());
+  // the iframe is replaced whenever the provider reloads the viewer
+  const attach = (attachOptions: MockOptions = options) => {
+    const iframe = container.querySelector("iframe");
+    if (!iframe) throw new Error("no viewer iframe");
+    return attachMockViewer(iframe, attachOptions);
+  };
+  const mock = attach();
+  return {
+    mock,
+    attach,
+    rerender: (src?: string) => rerender(wrap(src)),
+    unmount: () => {
+      unmount();
+      mock.dispose();
+    },
+  };
+};
+
+const initializeCount = (mock: ReturnType<typeof attachMockViewer>) =>
+  mock.received.filter(({ type }) => type === "initialize").length;
+
+beforeEach(() => {
+  vi.stubGlobal("fetch", async () => new Response(demo));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("ViewerProvider with the mock viewer", () => {
+  it("boots through hello, progress, initialize and scene-ready", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+    expect(bridge.status.phase).toBe("ready");
+    expect(bridge.status.progress).toBe(100);
+    expect(bridge.status.handshake.status).toBe("connected");
+    expect(bridge.status.capabilities?.legacy).toBe(false);
+
+    const types = mock.received.map((message) => message.type);
+    expect(types[0]).toBe("hello-ack");
+    expect(types.filter((type) => type === "initialize")).toHaveLength(1);
+    const initialize = await mock.waitFor("initialize");
+    expect(initialize.data.developmentData.id).toBe("demo");
+    unmount();
+  });
+
+  it("boots a legacy viewer that never says hello", async () => {
+    const { mock, unmount } = renderViewer({ legacy: true });
+    await act(() => mock.boot({ interval: 0 }));
+
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+    expect(bridge.status.capabilities?.legacy).toBe(true);
+    const initialize = await mock.waitFor("initialize");
+    // legacy viewers get fire-and-forget messages without correlation ids
+    expect(initialize.id).toBeUndefined();
+    expect(mock.received.some(({ type }) => type === "hello-ack")).toBe(false);
+    unmount();
+  });
+
+  it("reports units picked in the scene as the active unit", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+
+    act(() => mock.selectUnit("A101"));
+    await waitFor(() => expect(bridge.status.activeUnit).toBe("A101"));
+    unmount();
+  });
+
+  it("sends initialize once under StrictMode", async () => {
+    const { mock, unmount } = renderViewer({}, { strict: true });
+    await act(() => mock.boot({ interval: 0 }));
+
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+    expect(initializeCount(mock)).toBe(1);
+    unmount();
+  });
+
+  it("initialises again when the viewer reloads itself", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+
+    // a second hello without the host asking for a reload
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(initializeCount(mock)).toBe(2));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+    unmount();
+  });
+
+  it("boots a fresh viewer when src changes", async () => {
+    const { mock, attach, rerender, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+
+    rerender("/mock-viewer.html");
+    await waitFor(() => expect(bridge.status.phase).toBe("booting"));
+    mock.dispose();
+    const next = attach();
+    await act(() => next.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+    expect(initializeCount(next)).toBe(1);
+    next.dispose();
+    unmount();
+  });
+
+  it("shares animation play state between controls", async () => {
+    const { mock, unmount } = renderViewer({
+      animations: [{ name: "wave", label: "Wave", duration: 20, params: [] }],
+    });
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.animations).toHaveLength(1));
+
+    await act(() => players[0].play("wave"));
+    expect(players[1].playStates.wave).toBe("playing");
+    // the viewer reports the end once, both controls see it
+    await waitFor(() => expect(players[0].playStates.wave).toBe("stopped"));
+    expect(players[1].playStates.wave).toBe("stopped");
+    unmount();
+  });
+
+  it("colours units with a transferred buffer when the viewer supports it", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    await mock.waitFor("setUnitColors");
+
+    const units = bridge.status.developmentData?.units ?? [];
+    expect(units.length).toBeGreaterThan(0);
+    for (const unit of units) {
+      expect(mock.getUnitStyles()[unit.name]).toEqual(
+        STATUS_STYLES[unit.status],
+      );
+    }
+    expect(mock.received.some(({ type }) => type === "setUnitStyles")).toBe(
+      false,
+    );
+    unmount();
+  });
+
+  it("resends a logged setUnitColors after its buffer was transferred", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    const sent = await mock.waitFor("setUnitColors");
+    // jsdom's relay hands the buffer over as is; detach it as a real
+    // transfer would
+    structuredClone(sent.data.colors, { transfer: [sent.data.colors] });
+    expect(sent.data.colors.byteLength).toBe(0);
+
+    const logged = (trafficLog?.getEntries() ?? []).filter(
+      ({ payload }) => (payload as { type?: string }).type === "setUnitColors",
+    );
+    // through JSON, as the inspector's Edit and a downloaded session do
+    const payload = JSON.parse(
+      JSON.stringify(logged[logged.length - 1].payload),
+    );
+    act(() => bridge.postRaw(payload));
+    await waitFor(() =>
+      expect(
+        mock.received.filter(({ type }) => type === "setUnitColors"),
+      ).toHaveLength(2),
+    );
+    const resent = mock.received[mock.received.length - 1];
+    if (resent?.type !== "setUnitColors") throw new Error("not resent");
+    expect(resent.data.names).toEqual(sent.data.names);
+    expect(resent.data.colors.byteLength).toBe(sent.data.names.length * 4);
+    unmount();
+  });
+
+  it("falls back to setUnitStyles without setUnitColors", async () => {
+    const { mock, unmount } = renderViewer({
+      commands: HOST_COMMANDS.filter((type) => type !== "setUnitColors"),
+    });
+    await act(() => mock.boot({ interval: 0 }));
+    const { data } = await mock.waitFor("setUnitStyles");
+
+    const [unit] = bridge.status.developmentData?.units ?? [];
+    expect(data.styles[unit.name]).toEqual(STATUS_STYLES[unit.status]);
+    unmount();
+  });
+
+  it("stands a host replay in for a blanked viewer", async () => {
+    const { mock, unmount } = renderViewer();
+    await act(() => mock.boot({ interval: 0 }));
+    await waitFor(() => expect(bridge.status.isSceneReady).toBe(true));
+
+    let reattach = () => {};
+    act(() => {
+      reattach = bridge.detachViewer();
+    });
+    expect(document.querySelector("iframe")?.getAttribute("src")).toBe(
+      "about:blank",
+    );
+    expect(bridge.status.phase).toBe("booting");
+    // jsdom's postMessage has no options form; the blank page ignores it all
+    const blank = document.querySelector("iframe")?.contentWindow;
+    if (blank) blank.postMessage = vi.fn();
+    act(() => {
+      bridge.injectViewerMessage({
+        type: "hello",
+        protocol: PROTOCOL_VERSION,
+        commands: [...HOST_COMMANDS],
+      });
+      bridge.injectViewerMessage({ type: "scene-ready" });
+    });
+    expect(bridge.status.isSceneReady).toBe(true);
+    // the real viewer was neither greeted nor initialised again
+    const acks = mock.received.filter(({ type }) => type === "hello-ack");
+    expect(acks).toHaveLength(1);
+    expect(initializeCount(mock)).toBe(1);
+
+    act(() => reattach());
+    expect(document.querySelector("iframe")?.getAttribute("src")).toBe(
+      bridge.src,
+    );
+    expect(bridge.status.phase).toBe("booting");
+    unmount();
+  });
+});
@@ -0,0 +1,530 @@
+import {
+  useCallback,
+  useEffect,
+  useId,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+  type ReactNode,
+} from "react";
+import { DEVELOPMENT_ID } from "../api/client";
+import { EMPTY_FILTERS, filterUnits, type UnitFilters } from "../api/filters";
+import type { Development } from "../api/types";
+import { useDevelopment } from "../api/useDevelopment";
+import {
+  SWIRL_ANIMATION,
+  isAnimationDescriptor,
+  type AnimationDescriptor,
+  type AnimationPlayState,
+} from "./animations";
+import { bootReducer, canInitialize, INITIAL_BOOT_STATE } from "./boot";
+import { DEFAULT_CAMERA, DEFAULT_PRESET_ID, findPreset } from "./camera";
+import { negotiate } from "./handshake";
+import { isForInstance, withInstance } from "./instance";
+import {
+  DEFAULT_VIEWER_SRC,
+  getAllowedOrigins,
+  isFromViewer,
+  resolveOrigin,
+} from "./origin";
+import { canPatch, diffUnits } from "./patches";
+import { parseViewerMessage, reportInvalidMessage } from "./protocol";
+import { createRpcClient, reportRpcError } from "./rpc";
+import { createSessionRecorder } from "./session";
+import { reviveBuffers, trafficLog } from "./traffic";
+import {
+  buildUnitStyles,
+  diffUnitStyles,
+  packUnitStyles,
+  type UnitStyleMap,
+} from "./unitStyles";
+import { useWatchdog, type BootPhase, type WatchdogConfig } from "./watchdog";
+import {
+  ViewerContext,
+  type ViewerBridge,
+  type ViewerMessageListener,
+} from "./ViewerContext";
+
+type ViewerProviderProps = {
+  src?: string;
+  // tags this viewer's traffic, generated per provider unless given
+  instanceId?: string;
+  developmentId?: string;
+  // camera preset id the scene opens on, falls back to the default preset
+  initialCamera?: string;
+  initialFilters?: UnitFilters;
+  watchdog?: Partial<WatchdogConfig>;
+  children: ReactNode;
+};
+
+const ViewerProvider = ({
+  src: viewerSrc = DEFAULT_VIEWER_SRC,
+  instanceId: instanceIdProp,
+  developmentId = DEVELOPMENT_ID,
+  initialCamera = DEFAULT_PRESET_ID,
+  initialFilters = EMPTY_FILTERS,
+  watchdog: watchdogConfig,
+  children,
+}: ViewerProviderProps) => {
+  const generatedId = useId();
+  const instanceId = instanceIdProp ?? generatedId;
+  const src = useMemo(
+    () => withInstance(viewerSrc, instanceId),
+    [viewerSrc, instanceId],
+  );
+  const iframeRef = useRef<HTMLIFrameElement>(null);
+  const listeners = useRef(new Set<ViewerMessageListener>());
+  const [bootId, setBootId] = useState(0);
+  const [boot, dispatch] = useReducer(bootReducer, INITIAL_BOOT_STATE);
+  const { handshake } = boot;
+  const development = useDevelopment(developmentId);
+  const developmentData = development.data;
+  const [activeUnit, setActiveUnit] = useState<string | null>(null);
+  const [filters, setFilters] = useState<UnitFilters>(initialFilters);
+  const [cameraPreset, setCameraPreset] = useState<string | null>(null);
+  const [animations, setAnimations] = useState<AnimationDescriptor[]>([]);
+  // shared by every animation control and tour, kept here so a single
+  // `animation-complete` stops it for all of them
+  const [animationStates, setAnimationStates] = useState<
+    Record<string, AnimationPlayState>
+  >({});
+  const setAnimationState = useCallback(
+    (name: string, state: AnimationPlayState) =>
+      setAnimationStates((current) => ({ ...current, [name]: state })),
+    [],
+  );
+  const capabilities =
+    handshake.status === "connected" ? handshake.capabilities : null;
+  const [recorder] = useState(createSessionRecorder);
+  const [isRecording, setIsRecording] = useState(false);
+  const targetOrigin = useMemo(() => resolveOrigin(src), [src]);
+  const allowedOrigins = useMemo(() => getAllowedOrigins(src), [src]);
+  const rpc = useMemo(
+    () =>
+      createRpcClient({
+        getTarget: () => iframeRef.current?.contentWindow ?? null,
+        targetOrigin,
+        onPost: (message) => {
+          trafficLog?.record("out", message);
+          recorder.record("out", message);
+        },
+      }),
+    [targetOrigin, recorder],
+  );
+  // Port negotiated in the handshake. The viewer answers on it from then on,
+  // so it feeds the same handler as window messages.
+  const port = useRef<MessagePort | null>(null);
+  const receive = useRef<(payload: unknown) => void>(() => {});
+  const closePort = useCallback(() => {
+    port.current?.close();
+    port.current = null;
+    rpc.setPort(null);
+  }, [rpc]);
+  // What the viewer was last sent in full or patched up to; cleared to make
+  // the next render start over with `initialize`.
+  const sentData = useRef<Development | null>(null);
+  const [syncId, setSyncId] = useState(0);
+  // read by the message handler, which outlives renders
+  const handshakeStatus = useRef(handshake.status);
+  useEffect(() => {
+    handshakeStatus.current = handshake.status;
+  }, [handshake.status]);
+  useEffect(
+    () => () => {
+      rpc.cancelAll();
+      closePort();
+    },
+    [rpc, closePort],
+  );
+  useEffect(() => {
+    dispatch(
+      development.status === "success"
+        ? { type: "data-loaded" }
+        : development.status === "error"
+          ? { type: "data-failed", error: development.error.message }
+          : { type: "data-pending" },
+    );
+  }, [development.status, development.error]);
+  useEffect(() => {
+    rpc.setCapabilities(capabilities);
+  }, [rpc, capabilities]);
+  useEffect(() => {
+    // a new handshake means a fresh scene with nothing playing
+    setAnimationStates({});
+    if (!capabilities?.commands.has("listAnimations")) {
+      setAnimations(
+        capabilities?.commands.has("animateSwirl") ? [SWIRL_ANIMATION] : [],
+      );
+      return;
+    }
+    let cancelled = false;
+    rpc
+      .call("listAnimations", {})
+      .then((list) => {
+        if (cancelled) return;
+        if (!Array.isArray(list)) {
+          throw new Error("listAnimations did not return a list");
+        }
+        setAnimations(list.filter(isAnimationDescriptor));
+      })
+      .catch(reportRpcError);
+    return () => {
+      cancelled = true;
+    };
+  }, [capabilities, rpc]);
+
+  // Everything the viewer says goes through here, whether it arrived over
+  // postMessage or was injected by a session replay.
+  const handleViewerPayload = useCallback(
+    (payload: unknown) => {
+      const result = parseViewerMessage(payload);
+      const foreign = result.ok && !isForInstance(result.message, instanceId);
+      trafficLog?.record(
+        "in",
+        payload,
+        !result.ok
+          ? (result.error ?? "not a bridge message")
+          : foreign
+            ? `addressed to viewer instance "${result.message.instance}"`
+            : undefined,
+      );
+      if (foreign) return;
+      recorder.record("in", payload);
+      if (!result.ok) {
+        if (result.error) reportInvalidMessage(result.error, payload);
+        return;
+      }
+      const message = result.message;
+      if (rpc.handleReply(message)) return;
+      switch (message.type) {
+        case "hello": {
+          const negotiation = negotiate(message);
+          if (handshakeStatus.current !== "pending") {
+            // the viewer reloaded itself; the reducer starts over too
+            rpc.cancelAll("viewer restarted");
+            sentData.current = null;
+          }
+          closePort();
+          const channel =
+            negotiation.ok && negotiation.capabilities.transport === "port"
+              ? new MessageChannel()
+              : null;
+          rpc.send(
+            "hello-ack",
+            {
+              accepted: negotiation.ok,
+              commands: negotiation.ok
+                ? [...negotiation.capabilities.commands]
+                : [],
+              reason: negotiation.ok ? undefined : negotiation.reason,
+              transport: channel ? "port" : undefined,
+            },
+            channel ? [channel.port2] : [],
+          );
+          if (channel) {
+            channel.port1.onmessage = (event) => receive.current(event.data);
+            port.current = channel.port1;
+            rpc.setPort(channel.port1);
+          }
+          if (!negotiation.ok) {
+            console.error("[viewer-bridge]", negotiation.reason);
+          }
+          dispatch({ type: "hello", negotiation });
+          break;
+        }
+        case "loading":
+          dispatch({ type: "progress", value: Number(message.v) });
+          break;
+        case "scene-ready":
+          dispatch({ type: "scene-ready" });
+          break;
+        case "infoPoint":
+          setActiveUnit(message.name);
+          break;
+        case "animation-complete":
+          setAnimationState(message.name, "stopped");
+          break;
+        case "resync":
+          sentData.current = null;
+          setSyncId((id) => id + 1);
+          break;
+      }
+      listeners.current.forEach((listener) => listener(message));
+    },
+    [rpc, recorder, instanceId, closePort, setAnimationState],
+  );
+  useEffect(() => {
+    receive.current = handleViewerPayload;
+  }, [handleViewerPayload]);
+
+  useEffect(() => {
+    const handleMessage = (event: MessageEvent) => {
+      if (!isFromViewer(event, iframeRef.current, allowedOrigins)) return;
+      handleViewerPayload(event.data);
+    };
+
+    window.addEventListener("message", handleMessage);
+    return () => {
+      window.removeEventListener("message", handleMessage);
+    };
+  }, [allowedOrigins, handleViewerPayload]);
+
+  // The full development is sent once as `initialize`. After that, unit
+  // changes go out as revisioned patches (or, for viewers without them, only
+  // as style updates); anything else starts over with `initialize`.
+  const sentStyles = useRef<UnitStyleMap>({});
+  const sentDimmed = useRef<string | null>(null);
+  const revision = useRef(0);
+  const ready = canInitialize(boot);
+  useEffect(() => {
+    if (!ready || !developmentData || !capabilities) return;
+    const previous = sentData.current;
+    sentData.current = developmentData;
+    const supportsPatches = capabilities.commands.has("patchDevelopment");
+    if (
+      !previous ||
+      previous.id !== developmentData.id ||
+      (supportsPatches && !canPatch(previous, developmentData))
+    ) {
+      sentStyles.current = {};
+      sentDimmed.current = null;
+      // a new revision per `initialize` tells repeated ones apart, see rpc.ts
+      revision.current += 1;
+      dispatch({ type: "initialize-sent" });
+      rpc
+        .call("initialize", {
+          developmentData,
+          camera:
+            (
+              findPreset(developmentData.cameraPresets, initialCamera) ??
+              findPreset(developmentData.cameraPresets, DEFAULT_PRESET_ID)
+            )?.camera ?? DEFAULT_CAMERA,
+          revision: revision.current,
+        })
+        .catch(reportRpcError);
+    } else if (supportsPatches) {
+      const patches = diffUnits(previous.units, developmentData.units);
+      if (patches.length > 0) {
+        const baseRevision = revision.current;
+        revision.current += 1;
+        rpc
+          .call("patchDevelopment", {
+            revision: revision.current,
+            baseRevision,
+            patches,
+          })
+          .catch(reportRpcError);
+      }
+    }
+    const packed = capabilities.commands.has("setUnitColors");
+    if (!packed && !capabilities.commands.has("setUnitStyles")) return;
+    const styles = buildUnitStyles(developmentData.units);
+    const changed = diffUnitStyles(sentStyles.current, styles);
+    sentStyles.current = styles;
+    if (Object.keys(changed).length === 0) return;
+    if (packed) {
+      const payload = packUnitStyles(changed);
+      rpc
+        .call("setUnitColors", payload, { transfer: [payload.colors] })
+        .catch(reportRpcError);
+    } else {
+      rpc.call("setUnitStyles", { styles: changed }).catch(reportRpcError);
+    }
+  }, [ready, developmentData, capabilities, initialCamera, rpc, syncId]);
+
+  useEffect(() => {
+    if (!developmentData || sentData.current?.id !== developmentData.id) {
+      return;
+    }
+    if (!capabilities?.commands.has("setDimmedUnits")) return;
+    const matching = new Set(filterUnits(developmentData, filters));
+    const names = developmentData.units
+      .filter((unit) => unit.status !== "hidden" && !matching.has(unit))
+      .map((unit) => unit.name);
+    const key = names.join(",");
+    if (key === sentDimmed.current) return;
+    sentDimmed.current = key;
+    rpc.call("setDimmedUnits", { names }).catch(reportRpcError);
+  }, [ready, developmentData, capabilities, filters, rpc, syncId]);
+
+  // Remounts the iframe and forgets everything the previous viewer was told.
+  const reloadViewer = useCallback(() => {
+    rpc.cancelAll("viewer reloaded");
+    closePort();
+    sentData.current = null;
+    dispatch({ type: "reset" });
+    setBootId((id) => id + 1);
+  }, [rpc, closePort]);
+
+  // While a host replay stands in for the viewer the iframe is left blank, so
+  // replayed handshakes restart nothing real and the watchdog stays quiet.
+  // The returned function boots the real viewer again.
+  const [detached, setDetached] = useState(false);
+  const detachViewer = useCallback(() => {
+    reloadViewer();
+    setDetached(true);
+    return () => {
+      setDetached(false);
+      reloadViewer();
+    };
+  }, [reloadViewer]);
+
+  // A different viewer page is a different viewer; start it from scratch.
+  const bootedSrc = useRef(viewerSrc);
+  useEffect(() => {
+    if (bootedSrc.current === viewerSrc) return;
+    bootedSrc.current = viewerSrc;
+    reloadViewer();
+  }, [viewerSrc, reloadViewer]);
+
+  // what the watchdog times; nothing while the host itself is waiting on data
+  // or a replay stands in for the viewer
+  const phase: BootPhase | null = detached
+    ? null
+    : {
+        booting: "connect" as const,
+        loading: boot.assetsLoaded ? null : ("assets" as const),
+        initialising: "scene" as const,
+        ready: "ready" as const,
+        error: null,
+      }[boot.phase];
+  const ping = useMemo(
+    () =>
+      capabilities?.commands.has("ping")
+        ? (timeout: number) => rpc.call("ping", {}, { timeout })
+        : undefined,
+    [capabilities, rpc],
+  );
+  const watchdog = useWatchdog({
+    phase,
+    bootId,
+    reload: reloadViewer,
+    ping,
+    config: watchdogConfig,
+  });
+
+  // Raw escape hatch for devtools and session replays; app code should use
+  // `call` so messages are typed and correlated.
+  const postRaw = useCallback(
+    (payload: unknown) => {
+      const target = iframeRef.current?.contentWindow;
+      if (!target) return;
+      const message = reviveBuffers(payload);
+      trafficLog?.record("out", message);
+      recorder.record("out", message);
+      target.postMessage(message, targetOrigin);
+    },
+    [targetOrigin, recorder],
+  );
+  const injectViewerMessage = useCallback(
+    (payload: unknown) => handleViewerPayload(reviveBuffers(payload)),
+    [handleViewerPayload],
+  );
+
+  const startRecording = useCallback(() => {
+    recorder.start();
+    setIsRecording(true);
+  }, [recorder]);
+
+  const stopRecording = useCallback(() => {
+    setIsRecording(false);
+    return recorder.stop({
+      src,
+      developmentId: developmentData?.id ?? null,
+    });
+  }, [recorder, src, developmentData]);
+
+  const subscribe = useCallback((listener: ViewerMessageListener) => {
+    listeners.current.add(listener);
+    return () => {
+      listeners.current.delete(listener);
+    };
+  }, []);
+
+  const bridge = useMemo<ViewerBridge>(
+    () => ({
+      src,
+      instanceId,
+      iframeRef,
+      bootId,
+      detached,
+      status: {
+        phase: boot.phase,
+        progress: boot.progress,
+        isLoadingComplete: boot.assetsLoaded,
+        isSceneReady: boot.sceneReady,
+        handshake,
+        capabilities,
+        developmentData,
+        dataStatus: development.status,
+        dataError: development.error,
+        liveStatus: development.live,
+        lastChange: development.lastChange,
+        activeUnit,
+        filters,
+        cameraPreset,
+        animations,
+        animationStates,
+        watchdog: watchdog.state,
+      },
+      call: rpc.call,
+      selectUnit: setActiveUnit,
+      setFilters,
+      setCameraPreset,
+      setAnimationState,
+      retryData: development.retry,
+      updateUnit: development.updateUnit,
+      setReservation: development.setReservation,
+      reloadViewer: watchdog.retry,
+      subscribe,
+      postRaw,
+      injectViewerMessage,
+      detachViewer,
+      session: {
+        isRecording,
+        start: startRecording,
+        stop: stopRecording,
+      },
+    }),
+    [
+      src,
+      instanceId,
+      bootId,
+      detached,
+      boot,
+      handshake,
+      capabilities,
+      developmentData,
+      development.status,
+      development.error,
+      development.live,
+      development.lastChange,
+      development.retry,
+      development.updateUnit,
+      development.setReservation,
+      watchdog.state,
+      watchdog.retry,
+      activeUnit,
+      filters,
+      cameraPreset,
+      animations,
+      animationStates,
+      setAnimationState,
+      rpc,
+      subscribe,
+      postRaw,
+      injectViewerMessage,
+      detachViewer,
+      isRecording,
+      startRecording,
+      stopRecording,
+    ],
+  );
+
+  return (
+    <ViewerContext.Provider value={bridge}>{children}</ViewerContext.Provider>
+  );
+};
+
+export default ViewerProvider;
@@ -0,0 +1,79 @@
+import { isRecord } from "./protocol";
+
+// Scene animations the viewer can play. The viewer describes them (name,
+// parameters, duration) so the host can build controls without hard-coding
+// shader knobs.
+
+export type AnimationParamValue = number | boolean | string;
+
+export type AnimationParam =
+  | {
+      name: string;
+      label?: string;
+      type: "number";
+      default: number;
+      min?: number;
+      max?: number;
+      step?: number;
+    }
+  | { name: string; label?: string; type: "boolean"; default: boolean }
+  | { name: string; label?: string; type: "color"; default: string };
+
+export type AnimationDescriptor = {
+  name: string;
+  label: string;
+  // milliseconds, absent for open-ended effects which can't be seeked
+  duration?: number;
+  params: AnimationParam[];
+};
+
+export type AnimationParams = Record<string, AnimationParamValue>;
+
+export type AnimationPlayState = "playing" | "paused" | "stopped";
+
+// Viewers without `listAnimations` only know the swirl, driven through the
+// old `animateSwirl` command.
+export const SWIRL_ANIMATION: AnimationDescriptor = {
+  name: "swirl",
+  label: "Swirl",
+  params: [
+    {
+      name: "swirl",
+      label: "Intensity",
+      type: "number",
+      default: 1,
+      min: 0.1,
+      max: 1,
+      step: 0.1,
+    },
+  ],
+};
+
+export const defaultParams = (animation: AnimationDescriptor) =>
+  Object.fromEntries(
+    animation.params.map((param) => [param.name, param.default]),
+  ) as AnimationParams;
+
+const isParam = (value: unknown): value is AnimationParam => {
+  if (!isRecord(value) || typeof value.name !== "string") return false;
+  switch (value.type) {
+    case "number":
+      return typeof value.default === "number";
+    case "boolean":
+      return typeof value.default === "boolean";
+    case "color":
+      return typeof value.default === "string";
+    default:
+      return false;
+  }
+};
+
+export const isAnimationDescriptor = (
+  value: unknown,
+): value is AnimationDescriptor =>
+  isRecord(value) &&
+  typeof value.name === "string" &&
+  typeof value.label === "string" &&
+  (value.duration === undefined || typeof value.duration === "number") &&
+  Array.isArray(value.params) &&
+  value.params.every(isParam);
@@ -0,0 +1,139 @@
+import { describe, expect, it } from "vitest";
+import {
+  bootReducer,
+  canInitialize,
+  INITIAL_BOOT_STATE,
+  type BootEvent,
+  type BootState,
+} from "./boot";
+import { negotiate } from "./handshake";
+import { HOST_COMMANDS, PROTOCOL_VERSION } from "./protocol";
+
+const HELLO: BootEvent = {
+  type: "hello",
+  negotiation: negotiate({
+    type: "hello",
+    protocol: PROTOCOL_VERSION,
+    commands: [...HOST_COMMANDS],
+  }),
+};
+
+const run = (...events: BootEvent[]) =>
+  events.reduce<BootState>(bootReducer, INITIAL_BOOT_STATE);
+
+const progress = (value: number): BootEvent => ({ type: "progress", value });
+
+describe("bootReducer", () => {
+  it("walks booting → loading → initialising → ready", () => {
+    let state = run();
+    expect(state.phase).toBe("booting");
+    state = bootReducer(state, HELLO);
+    expect(state.phase).toBe("loading");
+    state = bootReducer(state, progress(100));
+    state = bootReducer(state, { type: "data-loaded" });
+    expect(state.phase).toBe("loading");
+    expect(canInitialize(state)).toBe(true);
+    state = bootReducer(state, { type: "initialize-sent" });
+    expect(state.phase).toBe("initialising");
+    state = bootReducer(state, { type: "scene-ready" });
+    expect(state.phase).toBe("ready");
+  });
+
+  describe("out-of-order messages", () => {
+    it("keeps progress that arrived before the hello", () => {
+      const state = run(progress(40), HELLO);
+      expect(state.progress).toBe(40);
+      expect(state.handshake.status).toBe("connected");
+      if (state.handshake.status === "connected") {
+        expect(state.handshake.capabilities.legacy).toBe(false);
+      }
+    });
+
+    it("treats scene-ready without a 100% progress as assets loaded", () => {
+      const state = run(HELLO, progress(20), { type: "scene-ready" });
+      expect(state.progress).toBe(100);
+      expect(state.assetsLoaded).toBe(true);
+      expect(state.phase).toBe("ready");
+    });
+
+    it("ignores progress going backwards after assets loaded", () => {
+      const state = run(HELLO, progress(100), progress(60));
+      expect(state.assetsLoaded).toBe(true);
+    });
+
+    it("connects a viewer that reaches 100% without a hello as legacy", () => {
+      const state = run(progress(100));
+      expect(state.handshake.status).toBe("connected");
+      if (state.handshake.status === "connected") {
+        expect(state.handshake.capabilities.legacy).toBe(true);
+      }
+    });
+  });
+
+  it("treats a duplicate scene-ready as a no-op", () => {
+    const once = run(HELLO, progress(100), { type: "scene-ready" });
+    const twice = bootReducer(once, { type: "scene-ready" });
+    expect(twice).toEqual(once);
+  });
+
+  it("can initialise when data arrives after the scene", () => {
+    let state = run(HELLO, { type: "scene-ready" });
+    expect(state.phase).toBe("ready");
+    expect(canInitialize(state)).toBe(false);
+    state = bootReducer(state, { type: "data-loaded" });
+    expect(state.phase).toBe("ready");
+    expect(canInitialize(state)).toBe(true);
+  });
+
+  it("settles on the same state when StrictMode repeats effect events", () => {
+    const events: BootEvent[] = [
+      { type: "data-pending" },
+      { type: "data-loaded" },
+      { type: "initialize-sent" },
+    ];
+    const once = run(HELLO, progress(100), ...events);
+    const doubled = run(
+      HELLO,
+      progress(100),
+      ...events.flatMap((event) => [event, event]),
+    );
+    expect(doubled).toEqual(once);
+  });
+
+  it("starts over on a hello from an already connected viewer", () => {
+    const ready = run(
+      HELLO,
+      progress(100),
+      { type: "data-loaded" },
+      {
+        type: "initialize-sent",
+      },
+      { type: "scene-ready" },
+    );
+    const state = bootReducer(ready, HELLO);
+    expect(state.phase).toBe("loading");
+    expect(state.sceneReady).toBe(false);
+    expect(state.assetsLoaded).toBe(false);
+    expect(state.initializeSent).toBe(false);
+    expect(state.handshake.status).toBe("connected");
+    expect(state.dataStatus).toBe("loaded");
+  });
+
+  it("reports refusal and data failures as errors", () => {
+    const refused = run({
+      type: "hello",
+      negotiation: { ok: false, reason: "too old" },
+    });
+    expect(refused.phase).toBe("error");
+    expect(refused.error).toBe("Incompatible viewer: too old");
+
+    const failed = run(HELLO, { type: "data-failed", error: "404" });
+    expect(failed.phase).toBe("error");
+    expect(failed.error).toBe("404");
+  });
+
+  it("keeps the data status across a reset", () => {
+    const state = run(HELLO, { type: "data-loaded" }, { type: "reset" });
+    expect(state).toEqual({ ...INITIAL_BOOT_STATE, dataStatus: "loaded" });
+  });
+});
@@ -0,0 +1,149 @@
+import {
+  LEGACY_CAPABILITIES,
+  type NegotiationResult,
+  type ViewerCapabilities,
+} from "./handshake";
+
+// The viewer boot as a pure state machine, so message ordering quirks are
+// handled in one place rather than across effects:
+//
+//   booting ──hello/progress──▶ loading ──initialize sent──▶ initialising
+//      │                                                        │
+//      └──────────── refused / data failed ──▶ error            │ scene-ready
+//                                                               ▼
+//                                                             ready
+//
+// `initialize` goes out once assets, data and handshake are all in (see
+// `canInitialize`). Viewer messages may arrive out of order or twice; every
+// transition is idempotent. `reset`, or a hello from a viewer that was
+// already connected (it reloaded itself), starts over from `booting`.
+
+export type BootPhaseName =
+  "booting" | "loading" | "initialising" | "ready" | "error";
+
+export type HandshakeState =
+  | { status: "pending" }
+  | { status: "connected"; capabilities: ViewerCapabilities }
+  | { status: "refused"; reason: string };
+
+export type BootState = {
+  phase: BootPhaseName;
+  handshake: HandshakeState;
+  // asset download progress reported by the viewer, 0-100
+  progress: number | null;
+  assetsLoaded: boolean;
+  dataStatus: "pending" | "loaded" | "failed";
+  initializeSent: boolean;
+  sceneReady: boolean;
+  error: string | null;
+};
+
+export type BootEvent =
+  | { type: "hello"; negotiation: NegotiationResult }
+  | { type: "progress"; value: number }
+  | { type: "scene-ready" }
+  | { type: "data-pending" }
+  | { type: "data-loaded" }
+  | { type: "data-failed"; error: string }
+  | { type: "initialize-sent" }
+  | { type: "reset" };
+
+export const INITIAL_BOOT_STATE: BootState = {
+  phase: "booting",
+  handshake: { status: "pending" },
+  progress: null,
+  assetsLoaded: false,
+  dataStatus: "pending",
+  initializeSent: false,
+  sceneReady: false,
+  error: null,
+};
+
+const phaseOf = (state: BootState): BootPhaseName => {
+  if (state.handshake.status === "refused" || state.dataStatus === "failed") {
+    return "error";
+  }
+  if (state.sceneReady) return "ready";
+  if (state.initializeSent) return "initialising";
+  if (state.progress !== null || state.handshake.status === "connected") {
+    return "loading";
+  }
+  return "booting";
+};
+
+// A viewer that gets this far without a hello predates the handshake.
+const connectLegacy = (handshake: HandshakeState): HandshakeState =>
+  handshake.status === "pending"
+    ? { status: "connected", capabilities: LEGACY_CAPABILITIES }
+    : handshake;
+
+const transition = (state: BootState, event: BootEvent): BootState => {
+  switch (event.type) {
+    case "hello":
+      return {
+        // a hello after connecting comes from a fresh viewer document that
+        // knows nothing of what the previous one was told
+        ...(state.handshake.status === "pending"
+          ? state
+          : { ...INITIAL_BOOT_STATE, dataStatus: state.dataStatus }),
+        handshake: event.negotiation.ok
+          ? {
+              status: "connected",
+              capabilities: event.negotiation.capabilities,
+            }
+          : { status: "refused", reason: event.negotiation.reason },
+      };
+    case "progress": {
+      const progress = Math.min(100, Math.max(0, event.value));
+      if (progress < 100) return { ...state, progress };
+      return {
+        ...state,
+        progress,
+        assetsLoaded: true,
+        handshake: connectLegacy(state.handshake),
+      };
+    }
+    case "scene-ready":
+      // the scene can't be ready without its assets, even if the 100%
+      // progress message was lost
+      return {
+        ...state,
+        progress: 100,
+        assetsLoaded: true,
+        sceneReady: true,
+        handshake: connectLegacy(state.handshake),
+      };
+    case "data-pending":
+      return { ...state, dataStatus: "pending" };
+    case "data-loaded":
+      return { ...state, dataStatus: "loaded" };
+    case "data-failed":
+      return { ...state, dataStatus: "failed" };
+    case "initialize-sent":
+      return { ...state, initializeSent: true };
+    case "reset":
+      return { ...INITIAL_BOOT_STATE, dataStatus: state.dataStatus };
+  }
+};
+
+const errorOf = (next: BootState, previous: BootState, event: BootEvent) => {
+  if (next.handshake.status === "refused") {
+    return `Incompatible viewer: ${next.handshake.reason}`;
+  }
+  if (next.dataStatus === "failed") {
+    return event.type === "data-failed" ? event.error : previous.error;
+  }
+  return null;
+};
+
+export const bootReducer = (state: BootState, event: BootEvent): BootState => {
+  const next = transition(state, event);
+  return { ...next, phase: phaseOf(next), error: errorOf(next, state, event) };
+};
+
+// Whether `initialize` may be sent; the caller tracks which development it
+// already sent so a new development id triggers a fresh one.
+export const canInitialize = (state: BootState) =>
+  state.handshake.status === "connected" &&
+  state.assetsLoaded &&
+  state.dataStatus === "loaded";
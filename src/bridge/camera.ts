@@ -0,0 +1,90 @@
+export type Vec3 = [number, number, number];
+
+export type CameraState = {
+  position: Vec3;
+  target: Vec3;
+  // vertical field of view in degrees, viewer default when omitted
+  fov?: number;
+};
+
+export type Easing = "linear" | "easeIn" | "easeOut" | "easeInOut";
+
+export const EASINGS: readonly Easing[] = [
+  "linear",
+  "easeIn",
+  "easeOut",
+  "easeInOut",
+];
+
+export type CameraTransition = {
+  // milliseconds
+  duration: number;
+  easing?: Easing;
+};
+
+// Named views are authored alongside the development data so they can be
+// changed without a release. A preset with a `buildingId` frames that
+// building; the one with id "default" is used on start.
+export type CameraPreset = {
+  id: string;
+  name: string;
+  buildingId?: string;
+  camera: CameraState;
+  transition?: CameraTransition;
+};
+
+export const DEFAULT_PRESET_ID = "default";
+
+export const DEFAULT_CAMERA: CameraState = {
+  position: [-200, 100, -200],
+  target: [0, 0, 0],
+};
+
+export const DEFAULT_TRANSITION: CameraTransition = {
+  duration: 1200,
+  easing: "easeInOut",
+};
+
+export const findPreset = (
+  presets: readonly CameraPreset[] | undefined,
+  id: string,
+) => presets?.find((preset) => preset.id === id) ?? null;
+
+const isVec3 = (value: unknown): value is Vec3 =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+export const isCameraState = (value: unknown): value is CameraState => {
+  if (typeof value !== "object" || value === null) return false;
+  const camera = value as Record<string, unknown>;
+  return (
+    isVec3(camera.position) &&
+    isVec3(camera.target) &&
+    (camera.fov === undefined || typeof camera.fov === "number")
+  );
+};
+
+const isTransition = (value: unknown): value is CameraTransition => {
+  if (typeof value !== "object" || value === null) return false;
+  const transition = value as Record<string, unknown>;
+  return (
+    typeof transition.duration === "number" &&
+    transition.duration >= 0 &&
+    (transition.easing === undefined ||
+      EASINGS.includes(transition.easing as Easing))
+  );
+};
+
+export const isCameraPreset = (value: unknown): value is CameraPreset => {
+  if (typeof value !== "object" || value === null) return false;
+  const preset = value as Record<string, unknown>;
+  return (
+    typeof preset.id === "string" &&
+    typeof preset.name === "string" &&
+    (preset.buildingId === undefined ||
+      typeof preset.buildingId === "string") &&
+    isCameraState(preset.camera) &&
+    (preset.transition === undefined || isTransition(preset.transition))
+  );
+};
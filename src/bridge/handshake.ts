@@ -0,0 +1,63 @@
+import {
+  HOST_COMMANDS,
+  PROTOCOL_VERSION,
+  type HostCommandType,
+  type Transport,
+  type ViewerMessage,
+} from "./protocol";
+
+// What the host may ask of the connected viewer. `legacy` viewers predate the
+// handshake: they never answer RPC calls, so commands are fire-and-forget.
+export type ViewerCapabilities = {
+  protocol: number;
+  commands: ReadonlySet<HostCommandType>;
+  legacy: boolean;
+  transport: Transport;
+  viewerVersion?: string;
+};
+
+// Viewer builds without a `hello` only ever understood these two commands.
+export const LEGACY_CAPABILITIES: ViewerCapabilities = {
+  protocol: 0,
+  commands: new Set<HostCommandType>(["initialize", "animateSwirl"]),
+  legacy: true,
+  transport: "window",
+};
+
+export type NegotiationResult =
+  | { ok: true; capabilities: ViewerCapabilities }
+  | { ok: false; reason: string };
+
+const isHostCommand = (command: string): command is HostCommandType =>
+  (HOST_COMMANDS as readonly string[]).includes(command);
+
+export const negotiate = (
+  hello: Extract<ViewerMessage, { type: "hello" }>,
+): NegotiationResult => {
+  if (hello.protocol !== PROTOCOL_VERSION) {
+    return {
+      ok: false,
+      reason: `viewer speaks protocol ${hello.protocol}, host requires ${PROTOCOL_VERSION}`,
+    };
+  }
+  const commands = new Set(hello.commands.filter(isHostCommand));
+  if (!commands.has("initialize")) {
+    return { ok: false, reason: "viewer does not support `initialize`" };
+  }
+  return {
+    ok: true,
+    capabilities: {
+      protocol: hello.protocol,
+      commands,
+      legacy: false,
+      // a port is private to this viewer, so replies skip the window's
+      // source and origin checks and other instances never see them
+      transport:
+        hello.transports?.includes("port") &&
+        typeof MessageChannel !== "undefined"
+          ? "port"
+          : "window",
+      viewerVersion: hello.viewerVersion,
+    },
+  };
+};
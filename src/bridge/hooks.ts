@@ -0,0 +1,152 @@
+import { useCallback, useContext, useEffect, useMemo, useRef } from "react";
+import { SWIRL_ANIMATION, type AnimationParams } from "./animations";
+import {
+  DEFAULT_TRANSITION,
+  findPreset,
+  isCameraState,
+  type CameraState,
+  type CameraTransition,
+} from "./camera";
+import { ViewerContext } from "./ViewerContext";
+import type {
+  HostCommandType,
+  HostMessagePayloads,
+  ViewerMessage,
+  ViewerMessageType,
+} from "./protocol";
+import { ViewerRpcError, type CallOptions } from "./rpc";
+
+export const useViewerBridge = () => {
+  const bridge = useContext(ViewerContext);
+  if (!bridge) {
+    throw new Error("useViewerBridge must be used inside a <ViewerProvider>");
+  }
+  return bridge;
+};
+
+export const useViewerStatus = () => useViewerBridge().status;
+
+// Calls `handler` for every validated viewer message of the given type. The
+// latest handler is always used, so it doesn't need to be memoised.
+export const useViewerEvent = <T extends ViewerMessageType>(
+  type: T,
+  handler: (message: Extract<ViewerMessage, { type: T }>) => void,
+) => {
+  const { subscribe } = useViewerBridge();
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+  useEffect(
+    () =>
+      subscribe((message) => {
+        if (message.type === type) {
+          handlerRef.current(message as Extract<ViewerMessage, { type: T }>);
+        }
+      }),
+    [subscribe, type],
+  );
+};
+
+export const useViewerCommand = <K extends HostCommandType>(type: K) => {
+  const { call } = useViewerBridge();
+  return useCallback(
+    (data: HostMessagePayloads[K], options?: CallOptions) =>
+      call(type, data, options),
+    [call, type],
+  );
+};
+
+export const useCamera = () => {
+  const { call, status, setCameraPreset } = useViewerBridge();
+  const presets = status.developmentData?.cameraPresets;
+
+  return useMemo(() => {
+    const set = (camera: CameraState) => {
+      setCameraPreset(null);
+      return call("setCamera", { camera });
+    };
+
+    const animateTo = (
+      camera: CameraState,
+      transition: CameraTransition = DEFAULT_TRANSITION,
+    ) => {
+      setCameraPreset(null);
+      return call("animateCamera", { camera, transition });
+    };
+
+    const get = async () => {
+      const camera = await call("getCamera", {});
+      if (!isCameraState(camera)) {
+        throw new ViewerRpcError(
+          "remote",
+          "getCamera",
+          "viewer returned an invalid camera",
+        );
+      }
+      return camera;
+    };
+
+    const goToPreset = (id: string) => {
+      const preset = findPreset(presets, id);
+      if (!preset) {
+        return Promise.reject(new Error(`unknown camera preset "${id}"`));
+      }
+      setCameraPreset(id);
+      return call("animateCamera", {
+        camera: preset.camera,
+        transition: preset.transition ?? DEFAULT_TRANSITION,
+      });
+    };
+
+    return { presets: presets ?? [], set, animateTo, get, goToPreset };
+  }, [call, presets, setCameraPreset]);
+};
+
+export const useAnimations = () => {
+  const { call, status, setAnimationState } = useViewerBridge();
+  const { animations, animationStates, capabilities } = status;
+  const legacy = !capabilities?.commands.has("playAnimation");
+
+  return useMemo(() => {
+    const play = async (
+      name: string,
+      params: AnimationParams = {},
+      loop = false,
+    ) => {
+      if (legacy) {
+        if (name !== SWIRL_ANIMATION.name) {
+          throw new Error(`viewer cannot play "${name}"`);
+        }
+        // the swirl is a one-shot effect with no completion event
+        await call("animateSwirl", { swirl: Number(params.swirl ?? 1) });
+        return;
+      }
+      await call("playAnimation", { name, params, loop });
+      setAnimationState(name, "playing");
+    };
+
+    const pause = async (name: string) => {
+      await call("pauseAnimation", { name });
+      setAnimationState(name, "paused");
+    };
+
+    const stop = async (name: string) => {
+      await call("stopAnimation", { name });
+      setAnimationState(name, "stopped");
+    };
+
+    const seek = (name: string, time: number) =>
+      call("seekAnimation", { name, time });
+
+    return {
+      animations,
+      playStates: animationStates,
+      canControl: !legacy,
+      play,
+      pause,
+      stop,
+      seek,
+    };
+  }, [animations, animationStates, legacy, call, setAnimationState]);
+};
@@ -0,0 +1,21 @@
+// Several viewers can share a page (side-by-side buildings, a mini-map next
+// to the main scene). Each ViewerProvider is one instance: its id goes to the
+// viewer in the iframe URL and comes back on every message. Window messages
+// are already matched to their iframe by `source`; the id covers what that
+// can't tell apart: messages arriving over a MessagePort or injected by
+// devtools and session replays, and several viewers sharing one window.
+
+export const INSTANCE_PARAM = "instance";
+
+export const withInstance = (src: string, instanceId: string) => {
+  const url = new URL(src, window.location.href);
+  url.searchParams.set(INSTANCE_PARAM, instanceId);
+  return url.href;
+};
+
+// Viewer builds from before instances don't tag their messages; those are
+// only told apart by the window they come from.
+export const isForInstance = (
+  message: { instance?: string },
+  instanceId: string,
+) => message.instance === undefined || message.instance === instanceId;
@@ -0,0 +1,31 @@
+// Origin checks for the viewer bridge. The host only talks to the viewer
+// iframe it created, and only accepts messages coming back from that same
+// window on an allow-listed origin.
+
+// VITE_VIEWER_SRC=/mock-viewer.html swaps in the WebGL-free mock viewer.
+export const DEFAULT_VIEWER_SRC =
+  import.meta.env.VITE_VIEWER_SRC ?? "/viewer/viewer.html";
+
+export const resolveOrigin = (url: string) =>
+  new URL(url, window.location.href).origin;
+
+// Extra origins come from VITE_VIEWER_ALLOWED_ORIGINS (comma separated), e.g.
+// when the viewer is served from a CDN rather than this app's own origin.
+const configuredOrigins = (import.meta.env.VITE_VIEWER_ALLOWED_ORIGINS ?? "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+export const getAllowedOrigins = (
+  viewerSrc: string,
+  extraOrigins: readonly string[] = configuredOrigins,
+) => new Set([resolveOrigin(viewerSrc), ...extraOrigins]);
+
+export const isFromViewer = (
+  event: MessageEvent,
+  iframe: HTMLIFrameElement | null,
+  allowedOrigins: ReadonlySet<string>,
+) =>
+  !!iframe?.contentWindow &&
+  event.source === iframe.contentWindow &&
+  allowedOrigins.has(event.origin);
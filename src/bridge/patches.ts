@@ -0,0 +1,70 @@
+import type { Development, Unit } from "../api/types";
+
+// Unit-level changes to a development the viewer already has. Anything
+// beyond units (buildings, floors, presets) still goes out as a fresh
+// `initialize`.
+export type UnitPatch =
+  | { op: "add"; unit: Unit }
+  | { op: "remove"; unitId: string }
+  // only the fields that changed
+  | { op: "update"; unitId: string; changes: Partial<Unit> };
+
+// a field dropped from `next` comes through as `undefined`
+const changedFields = (previous: Unit, next: Unit) => {
+  const changes: Partial<Unit> = {};
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  ([...keys] as (keyof Unit)[]).forEach((key) => {
+    if (previous[key] !== next[key]) {
+      (changes as Record<keyof Unit, unknown>)[key] = next[key];
+    }
+  });
+  return changes;
+};
+
+export const diffUnits = (
+  previous: readonly Unit[],
+  next: readonly Unit[],
+): UnitPatch[] => {
+  const before = new Map(previous.map((unit) => [unit.id, unit]));
+  const patches: UnitPatch[] = [];
+  next.forEach((unit) => {
+    const old = before.get(unit.id);
+    before.delete(unit.id);
+    if (!old) {
+      patches.push({ op: "add", unit });
+    } else if (old !== unit) {
+      const changes = changedFields(old, unit);
+      if (Object.keys(changes).length > 0) {
+        patches.push({ op: "update", unitId: unit.id, changes });
+      }
+    }
+  });
+  before.forEach((_, unitId) => patches.push({ op: "remove", unitId }));
+  return patches;
+};
+
+export const applyUnitPatches = (
+  units: readonly Unit[],
+  patches: readonly UnitPatch[],
+): Unit[] =>
+  patches.reduce<Unit[]>((current, patch) => {
+    switch (patch.op) {
+      case "add":
+        return [...current, patch.unit];
+      case "remove":
+        return current.filter((unit) => unit.id !== patch.unitId);
+      case "update":
+        return current.map((unit) =>
+          unit.id === patch.unitId ? { ...unit, ...patch.changes } : unit,
+        );
+    }
+  }, units.slice());
+
+// Whether `next` can reach the viewer as unit patches on top of `previous`,
+// i.e. nothing but the unit list changed.
+export const canPatch = (previous: Development, next: Development) =>
+  previous.id === next.id &&
+  Object.keys(previous).length === Object.keys(next).length &&
+  (Object.keys(next) as (keyof Development)[]).every(
+    (key) => key === "units" || previous[key] === next[key],
+  );
@@ -0,0 +1,289 @@
+import type { Development } from "../api/types";
+import type { AnimationParams } from "./animations";
+import type { CameraState, CameraTransition } from "./camera";
+import type { UnitPatch } from "./patches";
+import type { UnitStyleMap } from "./unitStyles";
+
+// Shared message protocol between the React host and the viewer iframe
+// (public/viewer). Every message crossing the bridge is described here so a
+// renamed field shows up as a validation warning instead of a silent no-op.
+
+export const PROTOCOL_VERSION = 1;
+
+// How messages travel once connected: the iframe window, or a dedicated
+// MessagePort handed over in the handshake.
+export type Transport = "window" | "port";
+
+// host -> viewer
+
+export type HostMessagePayloads = {
+  initialize: {
+    developmentData: Development;
+    camera: CameraState;
+    // revision `developmentData` is at, patches continue from it
+    revision: number;
+  };
+  // applies on top of `baseRevision` only; on any other revision the viewer
+  // sends `resync` instead of guessing
+  patchDevelopment: {
+    revision: number;
+    baseRevision: number;
+    patches: UnitPatch[];
+  };
+  // legacy, superseded by playAnimation("swirl")
+  animateSwirl: {
+    swirl: number;
+  };
+  // resolves with the AnimationDescriptor list
+  listAnimations: Record<string, never>;
+  playAnimation: {
+    name: string;
+    params?: AnimationParams;
+    loop?: boolean;
+  };
+  pauseAnimation: {
+    name: string;
+  };
+  stopAnimation: {
+    name: string;
+  };
+  seekAnimation: {
+    name: string;
+    // milliseconds from the start
+    time: number;
+  };
+  // merged into the viewer's current styles, units not listed are unchanged
+  setUnitStyles: {
+    styles: UnitStyleMap;
+  };
+  // jump straight to a view
+  setCamera: {
+    camera: CameraState;
+  };
+  animateCamera: {
+    camera: CameraState;
+    transition: CameraTransition;
+  };
+  // resolves with the current CameraState
+  getCamera: Record<string, never>;
+  // highlight a unit and fly the camera to it
+  focusUnit: {
+    name: string;
+  };
+  // units listed are dimmed, everything else is shown normally
+  setDimmedUnits: {
+    names: string[];
+  };
+  // setUnitStyles as RGBA bytes, four per entry of `names`, alpha 0 hides the
+  // unit. Preferred when supported; sent with `transfer: [colors]` so the
+  // buffer is moved rather than copied. See packUnitStyles.
+  setUnitColors: {
+    names: string[];
+    colors: ArrayBuffer;
+  };
+  // heartbeat, the viewer just replies
+  ping: Record<string, never>;
+  // reply to the viewer's `hello`, not a command
+  "hello-ack": {
+    accepted: boolean;
+    commands: HostCommandType[];
+    reason?: string;
+    // set when the host opened a MessagePort, which travels with this message
+    transport?: Transport;
+  };
+};
+
+export type HostMessageType = keyof HostMessagePayloads;
+
+// What the viewer answers with when a command is sent as an RPC call.
+export type HostMessageResults = {
+  initialize: void;
+  patchDevelopment: void;
+  animateSwirl: void;
+  listAnimations: unknown;
+  playAnimation: void;
+  pauseAnimation: void;
+  stopAnimation: void;
+  seekAnimation: void;
+  setUnitStyles: void;
+  setCamera: void;
+  animateCamera: void;
+  getCamera: unknown;
+  focusUnit: void;
+  setDimmedUnits: void;
+  setUnitColors: void;
+  ping: void;
+};
+
+export type HostCommandType = keyof HostMessageResults;
+
+export const HOST_COMMANDS: readonly HostCommandType[] = [
+  "initialize",
+  "patchDevelopment",
+  "animateSwirl",
+  "listAnimations",
+  "playAnimation",
+  "pauseAnimation",
+  "stopAnimation",
+  "seekAnimation",
+  "setUnitStyles",
+  "setCamera",
+  "animateCamera",
+  "getCamera",
+  "focusUnit",
+  "setDimmedUnits",
+  "setUnitColors",
+  "ping",
+];
+
+export type HostMessage = {
+  [K in HostMessageType]: {
+    type: K;
+    protocol: number;
+    // correlation id, only present when the host expects a reply
+    id?: string;
+    data: HostMessagePayloads[K];
+  };
+}[HostMessageType];
+
+export const createHostMessage = <K extends HostMessageType>(
+  type: K,
+  data: HostMessagePayloads[K],
+  id?: string,
+) =>
+  ({
+    type,
+    protocol: PROTOCOL_VERSION,
+    ...(id === undefined ? {} : { id }),
+    data,
+  }) as Extract<HostMessage, { type: K }>;
+
+// viewer -> host
+// `protocol` is optional because older viewer builds don't send it yet.
+// `hello` is the exception: it always carries the viewer's protocol so the
+// host can refuse an incompatible build instead of dropping its messages.
+// `instance` echoes the id the viewer was started with (see instance.ts).
+
+export type ViewerMessage = (
+  | {
+      type: "hello";
+      protocol: number;
+      commands: string[];
+      viewerVersion?: string;
+      // transports the viewer can switch to, window messaging is implied
+      transports?: string[];
+    }
+  | { type: "loading"; protocol?: number; v: string | number }
+  | { type: "scene-ready"; protocol?: number }
+  | { type: "infoPoint"; protocol?: number; name: string }
+  // the viewer missed a patch and wants `initialize` again; `revision` is
+  // the last one it applied
+  | { type: "resync"; protocol?: number; revision?: number }
+  // an animation reached its end (not sent for looping or stopped ones)
+  | { type: "animation-complete"; protocol?: number; name: string }
+  | { type: "rpc-result"; protocol?: number; id: string; result?: unknown }
+  | {
+      type: "rpc-error";
+      protocol?: number;
+      id: string;
+      error: { code?: string; message: string };
+    }
+) & { instance?: string };
+
+export type ViewerMessageType = ViewerMessage["type"];
+
+export type ParseResult =
+  | { ok: true; message: ViewerMessage }
+  // `error` is null when the payload simply isn't a bridge message (e.g. a
+  // devtools extension posting to the window) and can be ignored quietly.
+  | { ok: false; error: string | null };
+
+type FieldCheck = (data: Record<string, unknown>) => string | null;
+
+// plain object, not an array; shared by the payload validators
+export const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const viewerValidators: Record<ViewerMessageType, FieldCheck> = {
+  hello: (data) => {
+    if (typeof data.protocol !== "number") return "`protocol` must be a number";
+    if (
+      !Array.isArray(data.commands) ||
+      !data.commands.every((command) => typeof command === "string")
+    ) {
+      return "`commands` must be an array of strings";
+    }
+    if (
+      data.viewerVersion !== undefined &&
+      typeof data.viewerVersion !== "string"
+    ) {
+      return "`viewerVersion` must be a string";
+    }
+    if (
+      data.transports !== undefined &&
+      (!Array.isArray(data.transports) ||
+        !data.transports.every((transport) => typeof transport === "string"))
+    ) {
+      return "`transports` must be an array of strings";
+    }
+    return null;
+  },
+  loading: (data) =>
+    (typeof data.v === "string" || typeof data.v === "number") &&
+    data.v !== "" &&
+    Number.isFinite(Number(data.v))
+      ? null
+      : "`v` must be a numeric string or number",
+  "scene-ready": () => null,
+  infoPoint: (data) =>
+    typeof data.name === "string" ? null : "`name` must be a string",
+  resync: (data) =>
+    data.revision === undefined || typeof data.revision === "number"
+      ? null
+      : "`revision` must be a number",
+  "animation-complete": (data) =>
+    typeof data.name === "string" ? null : "`name` must be a string",
+  "rpc-result": (data) =>
+    typeof data.id === "string" ? null : "`id` must be a string",
+  "rpc-error": (data) => {
+    if (typeof data.id !== "string") return "`id` must be a string";
+    if (!isRecord(data.error) || typeof data.error.message !== "string") {
+      return "`error.message` must be a string";
+    }
+    return null;
+  },
+};
+
+const isViewerMessageType = (type: string): type is ViewerMessageType =>
+  Object.prototype.hasOwnProperty.call(viewerValidators, type);
+
+export const parseViewerMessage = (payload: unknown): ParseResult => {
+  if (!isRecord(payload) || typeof payload.type !== "string") {
+    return { ok: false, error: null };
+  }
+  const { type } = payload;
+  if (!isViewerMessageType(type)) {
+    return { ok: false, error: `unknown message type "${type}"` };
+  }
+  if (payload.protocol !== undefined && payload.protocol !== PROTOCOL_VERSION) {
+    return {
+      ok: false,
+      error: `"${type}" uses protocol ${String(payload.protocol)}, expected ${PROTOCOL_VERSION}`,
+    };
+  }
+  if (payload.instance !== undefined && typeof payload.instance !== "string") {
+    return {
+      ok: false,
+      error: `invalid "${type}" message: \`instance\` must be a string`,
+    };
+  }
+  const error = viewerValidators[type](payload);
+  if (error) {
+    return { ok: false, error: `invalid "${type}" message: ${error}` };
+  }
+  return { ok: true, message: payload as ViewerMessage };
+};
+
+export const reportInvalidMessage = (error: string, payload: unknown) => {
+  console.warn(`[viewer-bridge] dropped message, ${error}`, payload);
+};
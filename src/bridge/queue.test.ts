@@ -0,0 +1,41 @@
+import { describe, expect, it, vi } from "vitest";
+import { createOutboundQueue, type QueuedCall } from "./queue";
+
+const queued = (type: QueuedCall["type"], data: unknown = {}): QueuedCall => ({
+  type,
+  data,
+  options: {},
+  waiters: [{ resolve: vi.fn(), reject: vi.fn() }],
+});
+
+describe("createOutboundQueue", () => {
+  it("drains in the order calls were pushed", () => {
+    const queue = createOutboundQueue();
+    queue.push(queued("patchDevelopment"));
+    queue.push(queued("playAnimation"));
+    queue.push(queued("patchDevelopment"));
+    expect(queue.drain().map(({ type }) => type)).toEqual([
+      "patchDevelopment",
+      "playAnimation",
+      "patchDevelopment",
+    ]);
+    expect(queue.size()).toBe(0);
+  });
+
+  it("moves a replaced idempotent call behind calls queued after it", () => {
+    const queue = createOutboundQueue();
+    const first = queued("setCamera", { camera: "a" });
+    const second = queued("setCamera", { camera: "b" });
+    queue.push(first);
+    queue.push(queued("playAnimation"));
+    queue.push(second);
+
+    const drained = queue.drain();
+    expect(drained.map(({ type }) => type)).toEqual([
+      "playAnimation",
+      "setCamera",
+    ]);
+    expect(drained[1].data).toEqual({ camera: "b" });
+    expect(drained[1].waiters).toEqual([...first.waiters, ...second.waiters]);
+  });
+});
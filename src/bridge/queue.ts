@@ -0,0 +1,56 @@
+import type { HostCommandType } from "./protocol";
+import type { CallOptions } from "./rpc";
+
+// Commands whose latest payload fully replaces any earlier one, so only the
+// last of several queued calls has to reach the viewer. Reads are included:
+// every caller gets the same answer.
+export const IDEMPOTENT_COMMANDS: ReadonlySet<HostCommandType> =
+  new Set<HostCommandType>([
+    "initialize",
+    "setCamera",
+    "focusUnit",
+    "setDimmedUnits",
+    "listAnimations",
+    "getCamera",
+    "ping",
+  ]);
+
+export type QueuedCall = {
+  type: HostCommandType;
+  data: unknown;
+  options: CallOptions;
+  // every caller folded into this entry, settled together
+  waiters: {
+    resolve: (result: unknown) => void;
+    reject: (error: Error) => void;
+  }[];
+};
+
+// FIFO of calls made before the viewer could take them. Replacing an
+// idempotent call moves it to the back so it still lands after anything that
+// was queued in between.
+export const createOutboundQueue = () => {
+  let entries: QueuedCall[] = [];
+
+  const push = (call: QueuedCall) => {
+    if (IDEMPOTENT_COMMANDS.has(call.type)) {
+      const index = entries.findIndex((entry) => entry.type === call.type);
+      if (index !== -1) {
+        const [previous] = entries.splice(index, 1);
+        call = { ...call, waiters: [...previous.waiters, ...call.waiters] };
+      }
+    }
+    entries.push(call);
+  };
+
+  // Hands back the queued calls in order and empties the queue.
+  const drain = () => {
+    const drained = entries;
+    entries = [];
+    return drained;
+  };
+
+  const size = () => entries.length;
+
+  return { push, drain, size };
+};
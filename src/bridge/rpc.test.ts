@@ -0,0 +1,120 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import demo from "../../public/api/developments/demo.json?raw";
+import type { Development } from "../api/types";
+import { DEFAULT_CAMERA } from "./camera";
+import { negotiate } from "./handshake";
+import { HOST_COMMANDS, PROTOCOL_VERSION } from "./protocol";
+import { createRpcClient, reportRpcError, ViewerRpcError } from "./rpc";
+
+const development: Development = JSON.parse(demo);
+
+const connect = () => {
+  const postMessage = vi.fn();
+  const rpc = createRpcClient({
+    getTarget: () => ({ postMessage }) as unknown as Window,
+    targetOrigin: "*",
+  });
+  const negotiation = negotiate({
+    type: "hello",
+    protocol: PROTOCOL_VERSION,
+    commands: [...HOST_COMMANDS],
+  });
+  if (negotiation.ok) rpc.setCapabilities(negotiation.capabilities);
+  return { rpc, postMessage };
+};
+
+const initialize = (
+  rpc: ReturnType<typeof createRpcClient>,
+  developmentData: Development,
+  revision: number,
+) =>
+  rpc
+    .call("initialize", { developmentData, camera: DEFAULT_CAMERA, revision })
+    .catch(() => {});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("in-flight initialize", () => {
+  it("shares a repeated call for the same development and revision", () => {
+    const { rpc, postMessage } = connect();
+    const stringify = vi.spyOn(JSON, "stringify");
+    initialize(rpc, development, 1);
+    initialize(rpc, structuredClone(development), 1);
+    expect(postMessage).toHaveBeenCalledOnce();
+    // the development itself is never serialised to build the key
+    expect(stringify).not.toHaveBeenCalled();
+    rpc.cancelAll();
+  });
+
+  it("sends a new revision even while the previous one is pending", () => {
+    const { rpc, postMessage } = connect();
+    initialize(rpc, development, 1);
+    initialize(rpc, development, 2);
+    expect(postMessage).toHaveBeenCalledTimes(2);
+    rpc.cancelAll();
+  });
+});
+
+describe("queued calls", () => {
+  const postedTypes = (postMessage: ReturnType<typeof vi.fn>) =>
+    postMessage.mock.calls.map(([message]) => message.type);
+
+  const reply = (
+    rpc: ReturnType<typeof createRpcClient>,
+    postMessage: ReturnType<typeof vi.fn>,
+    index: number,
+    result: unknown,
+  ) =>
+    rpc.handleReply({
+      type: "rpc-result",
+      id: postMessage.mock.calls[index][0].id,
+      result,
+    });
+
+  it("holds calls until initialize and sends them right after it", () => {
+    const { rpc, postMessage } = connect();
+    rpc.call("playAnimation", { name: "swirl" }).catch(() => {});
+    expect(postMessage).not.toHaveBeenCalled();
+
+    initialize(rpc, development, 1);
+    expect(postedTypes(postMessage)).toEqual(["initialize", "playAnimation"]);
+    rpc.cancelAll();
+  });
+
+  it("settles every waiter folded into one idempotent call", async () => {
+    const { rpc, postMessage } = connect();
+    const first = rpc.call("getCamera", {});
+    const second = rpc.call("getCamera", {});
+    initialize(rpc, development, 1);
+    expect(postedTypes(postMessage)).toEqual(["initialize", "getCamera"]);
+
+    reply(rpc, postMessage, 1, DEFAULT_CAMERA);
+    await expect(first).resolves.toEqual(DEFAULT_CAMERA);
+    await expect(second).resolves.toEqual(DEFAULT_CAMERA);
+    rpc.cancelAll();
+  });
+
+  it("rejects every folded waiter when the queue is cancelled", async () => {
+    const { rpc } = connect();
+    const calls = [
+      rpc.call("setCamera", { camera: DEFAULT_CAMERA }),
+      rpc.call("setCamera", { camera: DEFAULT_CAMERA }),
+    ];
+    rpc.cancelAll("viewer reloaded");
+    for (const call of calls) {
+      await expect(call).rejects.toMatchObject({ code: "cancelled" });
+    }
+  });
+});
+
+describe("reportRpcError", () => {
+  it("warns about failures but not about cancelled calls", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    reportRpcError(new ViewerRpcError("cancelled", "ping", "closed"));
+    expect(warn).not.toHaveBeenCalled();
+    reportRpcError(new ViewerRpcError("timeout", "ping", "timed out"));
+    expect(warn).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,290 @@
+import type { ViewerCapabilities } from "./handshake";
+import { createOutboundQueue, IDEMPOTENT_COMMANDS } from "./queue";
+import {
+  createHostMessage,
+  type HostCommandType,
+  type HostMessage,
+  type HostMessagePayloads,
+  type HostMessageResults,
+  type HostMessageType,
+  type ViewerMessage,
+} from "./protocol";
+
+export type ViewerRpcErrorCode =
+  "timeout" | "unsupported" | "cancelled" | "remote";
+
+export class ViewerRpcError extends Error {
+  readonly code: ViewerRpcErrorCode;
+  readonly command: HostCommandType;
+  // error code reported by the viewer, only set for "remote" errors
+  readonly remoteCode?: string;
+
+  constructor(
+    code: ViewerRpcErrorCode,
+    command: HostCommandType,
+    message: string,
+    remoteCode?: string,
+  ) {
+    super(message);
+    this.name = "ViewerRpcError";
+    this.code = code;
+    this.command = command;
+    this.remoteCode = remoteCode;
+  }
+}
+
+// Catch-all for calls nobody awaits. Calls cancelled because the viewer went
+// away (unmount, reload) are expected and not worth a warning.
+export const reportRpcError = (error: unknown) => {
+  if (error instanceof ViewerRpcError && error.code === "cancelled") return;
+  console.warn("[viewer-bridge]", error);
+};
+
+export type CallOptions = {
+  timeout?: number;
+  // buffers in `data` to move to the viewer instead of copying; they are
+  // detached on this side once sent
+  transfer?: Transferable[];
+};
+
+export type RpcClientOptions = {
+  getTarget: () => Window | null;
+  targetOrigin: string;
+  timeout?: number;
+  // sees every message posted to the viewer, e.g. for the traffic inspector
+  onPost?: (message: HostMessage) => void;
+};
+
+type Pending = {
+  command: HostCommandType;
+  resolve: (result: unknown) => void;
+  reject: (error: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+};
+
+// What makes two calls of an idempotent command the same. `initialize`
+// carries the whole development, so rather than serialising it on every call
+// it is keyed by development id and revision, which the host bumps for each
+// `initialize` it sends.
+const inFlightKey = (type: HostCommandType, data: unknown) => {
+  if (type === "initialize") {
+    const { developmentData, revision } =
+      data as HostMessagePayloads["initialize"];
+    return `${developmentData.id}@${revision}`;
+  }
+  return JSON.stringify(data);
+};
+
+export type RpcClient = ReturnType<typeof createRpcClient>;
+
+export const DEFAULT_RPC_TIMEOUT = 5000;
+
+export const createRpcClient = ({
+  getTarget,
+  targetOrigin,
+  timeout = DEFAULT_RPC_TIMEOUT,
+  onPost,
+}: RpcClientOptions) => {
+  const pending = new Map<string, Pending>();
+  const queue = createOutboundQueue();
+  const inFlight = new Map<
+    HostCommandType,
+    { key: string; promise: Promise<unknown> }
+  >();
+  let capabilities: ViewerCapabilities | null = null;
+  // replaces window messaging once the handshake opened one
+  let port: MessagePort | null = null;
+  // set once `initialize` has gone out, until the viewer goes away
+  let isOpen = false;
+  let nextId = 0;
+
+  const post = (
+    target: Window,
+    message: HostMessage,
+    transfer: Transferable[] = [],
+  ) => {
+    onPost?.(message);
+    if (port) {
+      port.postMessage(message, transfer);
+    } else {
+      target.postMessage(message, { targetOrigin, transfer });
+    }
+  };
+
+  // Fire-and-forget handshake replies. These always go over the window, the
+  // port itself is handed over in one.
+  const send = <K extends HostMessageType>(
+    type: K,
+    data: HostMessagePayloads[K],
+    transfer: Transferable[] = [],
+  ) => {
+    const target = getTarget();
+    if (!target) return false;
+    const message = createHostMessage(type, data);
+    onPost?.(message);
+    target.postMessage(message, { targetOrigin, transfer });
+    return true;
+  };
+
+  const supports = (command: HostCommandType) =>
+    !!capabilities?.commands.has(command);
+
+  // Posts straight to the viewer; only called once it can take commands.
+  const dispatch = (
+    target: Window,
+    type: HostCommandType,
+    data: unknown,
+    options: CallOptions,
+  ) =>
+    new Promise<unknown>((resolve, reject) => {
+      if (!capabilities?.commands.has(type)) {
+        reject(
+          new ViewerRpcError(
+            "unsupported",
+            type,
+            `viewer does not support "${type}"`,
+          ),
+        );
+        return;
+      }
+      const payload = data as HostMessagePayloads[HostCommandType];
+      if (capabilities.legacy) {
+        post(target, createHostMessage(type, payload), options.transfer);
+        resolve(undefined);
+        return;
+      }
+      const id = `rpc-${++nextId}`;
+      const ms = options.timeout ?? timeout;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(
+          new ViewerRpcError(
+            "timeout",
+            type,
+            `"${type}" timed out after ${ms}ms`,
+          ),
+        );
+      }, ms);
+      pending.set(id, { command: type, resolve, reject, timer });
+      post(target, createHostMessage(type, payload, id), options.transfer);
+    });
+
+  // Repeating an idempotent call that is still in flight with the same
+  // payload (StrictMode effects, re-renders) shares the first call's answer.
+  const dispatchOnce = (
+    target: Window,
+    type: HostCommandType,
+    data: unknown,
+    options: CallOptions,
+  ) => {
+    if (!IDEMPOTENT_COMMANDS.has(type)) {
+      return dispatch(target, type, data, options);
+    }
+    const key = inFlightKey(type, data);
+    const current = inFlight.get(type);
+    if (current?.key === key) return current.promise;
+    const promise = dispatch(target, type, data, options);
+    const entry = { key, promise };
+    inFlight.set(type, entry);
+    const forget = () => {
+      if (inFlight.get(type) === entry) inFlight.delete(type);
+    };
+    promise.then(forget, forget);
+    return promise;
+  };
+
+  const flush = () => {
+    const target = getTarget();
+    if (!target) return;
+    queue.drain().forEach(({ type, data, options, waiters }) => {
+      dispatchOnce(target, type, data, options).then(
+        (result) => waiters.forEach((waiter) => waiter.resolve(result)),
+        (error) => waiters.forEach((waiter) => waiter.reject(error)),
+      );
+    });
+  };
+
+  // Calls made before the viewer is connected and initialised wait in the
+  // queue and go out in order right after `initialize`.
+  const call = <K extends HostCommandType>(
+    type: K,
+    data: HostMessagePayloads[K],
+    options: CallOptions = {},
+  ) =>
+    new Promise<HostMessageResults[K]>((resolve, reject) => {
+      const waiter = {
+        resolve: resolve as (result: unknown) => void,
+        reject,
+      };
+      const target = getTarget();
+      if (!target || !capabilities || (!isOpen && type !== "initialize")) {
+        queue.push({ type, data, options, waiters: [waiter] });
+        return;
+      }
+      dispatchOnce(target, type, data, options).then(
+        waiter.resolve,
+        waiter.reject,
+      );
+      if (type === "initialize" && !isOpen) {
+        isOpen = true;
+        flush();
+      }
+    });
+
+  // Settles the matching call and returns true if `message` was an RPC reply.
+  const handleReply = (message: ViewerMessage) => {
+    if (message.type !== "rpc-result" && message.type !== "rpc-error") {
+      return false;
+    }
+    const entry = pending.get(message.id);
+    if (!entry) return true;
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+    if (message.type === "rpc-result") {
+      entry.resolve(message.result);
+    } else {
+      entry.reject(
+        new ViewerRpcError(
+          "remote",
+          entry.command,
+          message.error.message,
+          message.error.code,
+        ),
+      );
+    }
+    return true;
+  };
+
+  const cancelAll = (reason = "viewer bridge closed") => {
+    pending.forEach((entry) => {
+      clearTimeout(entry.timer);
+      entry.reject(new ViewerRpcError("cancelled", entry.command, reason));
+    });
+    pending.clear();
+    queue.drain().forEach((entry) => {
+      const error = new ViewerRpcError("cancelled", entry.type, reason);
+      entry.waiters.forEach((waiter) => waiter.reject(error));
+    });
+    inFlight.clear();
+    isOpen = false;
+  };
+
+  const setCapabilities = (next: ViewerCapabilities | null) => {
+    capabilities = next;
+    if (!next) isOpen = false;
+  };
+
+  const setPort = (next: MessagePort | null) => {
+    port = next;
+  };
+
+  return {
+    call,
+    send,
+    supports,
+    handleReply,
+    cancelAll,
+    setCapabilities,
+    setPort,
+  };
+};
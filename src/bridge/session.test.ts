@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PROTOCOL_VERSION } from "./protocol";
+import {
+  RECORDING_VERSION,
+  replaySession,
+  type SessionRecording,
+} from "./session";
+
+const recording: SessionRecording = {
+  version: RECORDING_VERSION,
+  protocol: PROTOCOL_VERSION,
+  recordedAt: "2026-01-01T00:00:00.000Z",
+  src: "/mock-viewer.html",
+  developmentId: "demo",
+  messages: [
+    { t: 0, direction: "in", payload: { type: "hello" } },
+    { t: 10, direction: "out", payload: { type: "hello-ack" } },
+    { t: 20, direction: "in", payload: { type: "loading", v: 100 } },
+    { t: 30, direction: "in", payload: { type: "scene-ready" } },
+  ],
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("replaySession", () => {
+  it("counts the messages to replay before any are sent", async () => {
+    const injectIntoHost = vi.fn();
+    const onProgress = vi.fn();
+    const { done, total } = replaySession(recording, {
+      target: "host",
+      postToViewer: vi.fn(),
+      injectIntoHost,
+      onProgress,
+    });
+    expect(total).toBe(3);
+    expect(onProgress).toHaveBeenLastCalledWith(0, 3);
+
+    await vi.runAllTimersAsync();
+    await done;
+    expect(injectIntoHost).toHaveBeenCalledTimes(3);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+  });
+
+  it("only replays the host's side towards the viewer", () => {
+    const { total, cancel } = replaySession(recording, {
+      target: "viewer",
+      postToViewer: vi.fn(),
+      injectIntoHost: vi.fn(),
+    });
+    expect(total).toBe(1);
+    cancel();
+  });
+});
@@ -0,0 +1,154 @@
+import { PROTOCOL_VERSION } from "./protocol";
+import { snapshotPayload, type TrafficDirection } from "./traffic";
+
+// Recordings of everything that crossed the bridge during a session, with
+// timing, so a session can be attached to a bug report and replayed.
+
+export const RECORDING_VERSION = 1;
+
+export type RecordedMessage = {
+  // milliseconds since recording started
+  t: number;
+  direction: TrafficDirection;
+  payload: unknown;
+};
+
+export type SessionRecording = {
+  version: typeof RECORDING_VERSION;
+  protocol: number;
+  recordedAt: string;
+  src: string;
+  developmentId: string | null;
+  messages: RecordedMessage[];
+};
+
+export const createSessionRecorder = () => {
+  let startedAt: number | null = null;
+  let messages: RecordedMessage[] = [];
+
+  const start = () => {
+    startedAt = performance.now();
+    messages = [];
+  };
+
+  const record = (direction: TrafficDirection, payload: unknown) => {
+    if (startedAt === null) return;
+    messages.push({
+      t: Math.round(performance.now() - startedAt),
+      direction,
+      // detached from live objects and transfers, see snapshotPayload
+      payload: snapshotPayload(payload),
+    });
+  };
+
+  const stop = (
+    meta: Pick<SessionRecording, "src" | "developmentId">,
+  ): SessionRecording => {
+    startedAt = null;
+    const recording: SessionRecording = {
+      version: RECORDING_VERSION,
+      protocol: PROTOCOL_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...meta,
+      messages,
+    };
+    messages = [];
+    return recording;
+  };
+
+  return { start, record, stop, isRecording: () => startedAt !== null };
+};
+
+export type SessionRecorder = ReturnType<typeof createSessionRecorder>;
+
+export const downloadRecording = (recording: SessionRecording) => {
+  const blob = new Blob([JSON.stringify(recording, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `viewer-session-${recording.recordedAt.replace(/[:.]/g, "-")}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const parseRecording = (json: string): SessionRecording => {
+  const value: unknown = JSON.parse(json);
+  const recording = value as Partial<SessionRecording> | null;
+  if (
+    typeof recording !== "object" ||
+    recording === null ||
+    recording.version !== RECORDING_VERSION ||
+    !Array.isArray(recording.messages) ||
+    !recording.messages.every(
+      (message) =>
+        typeof message?.t === "number" &&
+        (message.direction === "in" || message.direction === "out"),
+    )
+  ) {
+    throw new Error("not a viewer session recording");
+  }
+  return recording as SessionRecording;
+};
+
+export type ReplayTarget = "viewer" | "host";
+
+export type ReplayOptions = {
+  // "viewer" re-sends what the host sent; "host" feeds what the viewer sent
+  // back into this page, standing in for the viewer
+  target: ReplayTarget;
+  postToViewer: (payload: unknown) => void;
+  injectIntoHost: (payload: unknown) => void;
+  speed?: number;
+  onProgress?: (sent: number, total: number) => void;
+};
+
+export const replaySession = (
+  recording: SessionRecording,
+  {
+    target,
+    postToViewer,
+    injectIntoHost,
+    speed = 1,
+    onProgress,
+  }: ReplayOptions,
+) => {
+  const direction: TrafficDirection = target === "viewer" ? "out" : "in";
+  const deliver = target === "viewer" ? postToViewer : injectIntoHost;
+  const messages = recording.messages.filter(
+    (message) => message.direction === direction,
+  );
+  const timers: ReturnType<typeof setTimeout>[] = [];
+  let resolveDone: () => void = () => {};
+  const done = new Promise<void>((resolve) => {
+    resolveDone = resolve;
+  });
+  const origin = messages[0]?.t ?? 0;
+  let sent = 0;
+
+  onProgress?.(0, messages.length);
+  if (!messages.length) resolveDone();
+  messages.forEach((message) => {
+    timers.push(
+      setTimeout(
+        () => {
+          deliver(message.payload);
+          sent += 1;
+          onProgress?.(sent, messages.length);
+          if (sent === messages.length) resolveDone();
+        },
+        (message.t - origin) / speed,
+      ),
+    );
+  });
+
+  const cancel = () => {
+    timers.forEach(clearTimeout);
+    resolveDone();
+  };
+
+  // the first onProgress fires before the caller has `cancel` to store
+  // alongside it, so the count is returned as well
+  return { done, cancel, total: messages.length };
+};
@@ -0,0 +1,95 @@
+// In-memory log of bridge traffic for development tooling. Only created in
+// dev builds; production code paths see `trafficLog === null`.
+
+export type TrafficDirection = "in" | "out";
+
+export type TrafficEntry = {
+  id: number;
+  // performance.now() when the message was seen
+  time: number;
+  direction: TrafficDirection;
+  payload: unknown;
+  // why an inbound message was dropped, if it was
+  error?: string;
+};
+
+// Transferred buffers are detached once posted, and JSON turns them into
+// `{}`, so logs keep a copy taken before the post with every ArrayBuffer as
+// its bytes. `reviveBuffers` rebuilds them for resending or replaying.
+const BUFFER_KEY = "$arrayBuffer";
+
+export const snapshotPayload = (payload: unknown): unknown => {
+  if (payload instanceof ArrayBuffer) {
+    return { [BUFFER_KEY]: Array.from(new Uint8Array(payload)) };
+  }
+  if (Array.isArray(payload)) return payload.map(snapshotPayload);
+  if (typeof payload === "object" && payload !== null) {
+    return Object.fromEntries(
+      Object.entries(payload).map(([key, value]) => [
+        key,
+        snapshotPayload(value),
+      ]),
+    );
+  }
+  return payload;
+};
+
+export const reviveBuffers = (payload: unknown): unknown => {
+  if (Array.isArray(payload)) return payload.map(reviveBuffers);
+  if (typeof payload !== "object" || payload === null) return payload;
+  const bytes = (payload as Record<string, unknown>)[BUFFER_KEY];
+  if (Array.isArray(bytes) && Object.keys(payload).length === 1) {
+    return new Uint8Array(bytes).buffer;
+  }
+  return Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => [key, reviveBuffers(value)]),
+  );
+};
+
+export type TrafficListener = (entries: readonly TrafficEntry[]) => void;
+
+export const createTrafficLog = (limit = 500) => {
+  let entries: TrafficEntry[] = [];
+  let nextId = 0;
+  const listeners = new Set<TrafficListener>();
+
+  const emit = () => listeners.forEach((listener) => listener(entries));
+
+  const record = (
+    direction: TrafficDirection,
+    payload: unknown,
+    error?: string,
+  ) => {
+    entries = [
+      ...entries.slice(-(limit - 1)),
+      {
+        id: ++nextId,
+        time: performance.now(),
+        direction,
+        payload: snapshotPayload(payload),
+        error,
+      },
+    ];
+    emit();
+  };
+
+  const clear = () => {
+    entries = [];
+    emit();
+  };
+
+  const subscribe = (listener: TrafficListener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  return { record, clear, subscribe, getEntries: () => entries };
+};
+
+export type TrafficLog = ReturnType<typeof createTrafficLog>;
+
+export const trafficLog: TrafficLog | null = import.meta.env.DEV
+  ? createTrafficLog()
+  : null;
@@ -0,0 +1,88 @@
+import type { Unit, UnitStatus } from "../api/types";
+
+export type UnitStyle = {
+  color: string;
+  visible: boolean;
+};
+
+// keyed by unit mesh name (`Unit.name`)
+export type UnitStyleMap = Record<string, UnitStyle>;
+
+export const STATUS_STYLES: Record<UnitStatus, UnitStyle> = {
+  available: { color: "#4caf50", visible: true },
+  reserved: { color: "#ff9800", visible: true },
+  sold: { color: "#e53935", visible: true },
+  hidden: { color: "#9e9e9e", visible: false },
+};
+
+export const buildUnitStyles = (units: readonly Unit[]): UnitStyleMap =>
+  Object.fromEntries(
+    units.map((unit) => [unit.name, STATUS_STYLES[unit.status]]),
+  );
+
+// Entries of `next` that differ from `previous`. Units that disappeared are
+// hidden rather than left in whatever state they were last sent.
+export const diffUnitStyles = (
+  previous: UnitStyleMap,
+  next: UnitStyleMap,
+): UnitStyleMap => {
+  const changed: UnitStyleMap = {};
+  for (const [name, style] of Object.entries(next)) {
+    const before = previous[name];
+    if (
+      !before ||
+      before.color !== style.color ||
+      before.visible !== style.visible
+    ) {
+      changed[name] = style;
+    }
+  }
+  for (const name of Object.keys(previous)) {
+    if (!(name in next)) changed[name] = STATUS_STYLES.hidden;
+  }
+  return changed;
+};
+
+// "#rgb" or "#rrggbb" as RGB bytes, anything else as black
+const parseHexColor = (color: string): [number, number, number] => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color)?.[1];
+  if (!hex) return [0, 0, 0];
+  const full =
+    hex.length === 3 ? [...hex].map((digit) => digit + digit).join("") : hex;
+  return [
+    parseInt(full.slice(0, 2), 16),
+    parseInt(full.slice(2, 4), 16),
+    parseInt(full.slice(4, 6), 16),
+  ];
+};
+
+const toHex = (byte: number) => byte.toString(16).padStart(2, "0");
+
+// Payload for `setUnitColors`: one RGBA quad per unit, alpha 0 for hidden
+// units. Pass `colors` in the call's `transfer` list.
+export const packUnitStyles = (styles: UnitStyleMap) => {
+  const names = Object.keys(styles);
+  const bytes = new Uint8Array(names.length * 4);
+  names.forEach((name, index) => {
+    const { color, visible } = styles[name];
+    bytes.set([...parseHexColor(color), visible ? 255 : 0], index * 4);
+  });
+  return { names, colors: bytes.buffer };
+};
+
+// The reverse, as a viewer reads it.
+export const unpackUnitStyles = (
+  names: readonly string[],
+  colors: ArrayBuffer,
+): UnitStyleMap => {
+  const bytes = new Uint8Array(colors);
+  return Object.fromEntries(
+    names.map((name, index) => {
+      const [r, g, b, a] = bytes.subarray(index * 4, index * 4 + 4);
+      return [
+        name,
+        { color: `#${toHex(r)}${toHex(g)}${toHex(b)}`, visible: a > 0 },
+      ];
+    }),
+  );
+};
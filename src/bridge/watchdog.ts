@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Where the viewer is in its boot, as far as the host can tell. `null` means
+// the host itself is waiting (e.g. for development data) so nothing can stall.
+export type BootPhase = "connect" | "assets" | "scene" | "ready";
+
+export type StallPhase = Exclude<BootPhase, "ready"> | "heartbeat";
+
+export type WatchdogConfig = {
+  // milliseconds each phase may take before the viewer counts as stalled
+  timeouts: Record<Exclude<BootPhase, "ready">, number>;
+  maxReloads: number;
+  // first automatic reload waits this long, doubling on every further attempt
+  reloadDelay: number;
+  maxReloadDelay: number;
+  heartbeatInterval: number;
+  heartbeatTimeout: number;
+  maxMissedHeartbeats: number;
+};
+
+export const DEFAULT_WATCHDOG_CONFIG: WatchdogConfig = {
+  timeouts: {
+    connect: 15_000,
+    assets: 60_000,
+    scene: 20_000,
+  },
+  maxReloads: 3,
+  reloadDelay: 1_000,
+  maxReloadDelay: 15_000,
+  heartbeatInterval: 10_000,
+  heartbeatTimeout: 3_000,
+  maxMissedHeartbeats: 3,
+};
+
+export type WatchdogState =
+  | { status: "ok"; attempts: number }
+  | { status: "reloading"; phase: StallPhase; attempts: number }
+  | { status: "failed"; phase: StallPhase; attempts: number };
+
+export const STALL_DESCRIPTIONS: Record<StallPhase, string> = {
+  connect: "The 3D viewer did not start",
+  assets: "Downloading 3D assets stalled",
+  scene: "The scene was never reported ready",
+  heartbeat: "The 3D viewer stopped responding",
+};
+
+export const reloadDelay = (attempt: number, config: WatchdogConfig) =>
+  Math.min(config.reloadDelay * 2 ** (attempt - 1), config.maxReloadDelay);
+
+type WatchdogOptions = {
+  phase: BootPhase | null;
+  bootId: number;
+  reload: () => void;
+  // resolves when the viewer answered, undefined if it can't be pinged
+  ping?: (timeout: number) => Promise<unknown>;
+  config?: Partial<WatchdogConfig>;
+};
+
+export const useWatchdog = ({
+  phase,
+  bootId,
+  reload,
+  ping,
+  config,
+}: WatchdogOptions) => {
+  const [state, setState] = useState<WatchdogState>({
+    status: "ok",
+    attempts: 0,
+  });
+  const configRef = useRef(DEFAULT_WATCHDOG_CONFIG);
+  useEffect(() => {
+    configRef.current = { ...DEFAULT_WATCHDOG_CONFIG, ...config };
+  });
+
+  const stall = useCallback((stalled: StallPhase) => {
+    setState((current) => {
+      if (current.status !== "ok") return current;
+      const attempts = current.attempts + 1;
+      return attempts > configRef.current.maxReloads
+        ? { status: "failed", phase: stalled, attempts: current.attempts }
+        : { status: "reloading", phase: stalled, attempts };
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!phase || phase === "ready" || state.status !== "ok") return;
+    const timer = setTimeout(
+      () => stall(phase),
+      configRef.current.timeouts[phase],
+    );
+    return () => clearTimeout(timer);
+  }, [phase, bootId, state.status, stall]);
+
+  useEffect(() => {
+    if (state.status !== "reloading") return;
+    const timer = setTimeout(
+      () => {
+        reload();
+        setState({ status: "ok", attempts: state.attempts });
+      },
+      reloadDelay(state.attempts, configRef.current),
+    );
+    return () => clearTimeout(timer);
+  }, [state, reload]);
+
+  useEffect(() => {
+    if (phase !== "ready") return;
+    setState((current) =>
+      current.status === "ok" && current.attempts > 0
+        ? { status: "ok", attempts: 0 }
+        : current,
+    );
+  }, [phase]);
+
+  useEffect(() => {
+    if (phase !== "ready" || !ping || state.status !== "ok") return;
+    const { heartbeatInterval, heartbeatTimeout, maxMissedHeartbeats } =
+      configRef.current;
+    let missed = 0;
+    const timer = setInterval(() => {
+      ping(heartbeatTimeout).then(
+        () => {
+          missed = 0;
+        },
+        () => {
+          missed += 1;
+          if (missed >= maxMissedHeartbeats) stall("heartbeat");
+        },
+      );
+    }, heartbeatInterval);
+    return () => clearInterval(timer);
+  }, [phase, ping, state.status, stall]);
+
+  // Manual retry after the watchdog gave up starts the backoff from scratch.
+  const retry = useCallback(() => {
+    setState({ status: "ok", attempts: 0 });
+    reload();
+  }, [reload]);
+
+  return { state, retry };
+};
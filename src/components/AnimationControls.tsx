@@ -0,0 +1,122 @@
+import { useState } from "react";
+import {
+  defaultParams,
+  type AnimationDescriptor,
+  type AnimationParams,
+} from "../bridge/animations";
+import { useAnimations } from "../bridge/hooks";
+import { reportRpcError } from "../bridge/rpc";
+
+type AnimationRowProps = {
+  animation: AnimationDescriptor;
+};
+
+const AnimationRow = ({ animation }: AnimationRowProps) => {
+  const { playStates, canControl, play, pause, stop, seek } = useAnimations();
+  const [params, setParams] = useState<AnimationParams>(() =>
+    defaultParams(animation),
+  );
+  const state = playStates[animation.name] ?? "stopped";
+
+  return (
+    <fieldset style={{ border: "none", padding: 0, margin: "0.5em 0" }}>
+      <legend>{animation.label}</legend>
+      {animation.params.map((param) => (
+        <label key={param.name} style={{ display: "block" }}>
+          {param.label ?? param.name}{" "}
+          {param.type === "number" ? (
+            <input
+              type="range"
+              min={param.min ?? 0}
+              max={param.max ?? 1}
+              step={param.step ?? 0.01}
+              value={Number(params[param.name])}
+              onChange={(event) =>
+                setParams({ ...params, [param.name]: +event.target.value })
+              }
+            />
+          ) : param.type === "boolean" ? (
+            <input
+              type="checkbox"
+              checked={Boolean(params[param.name])}
+              onChange={(event) =>
+                setParams({ ...params, [param.name]: event.target.checked })
+              }
+            />
+          ) : (
+            <input
+              type="color"
+              value={String(params[param.name])}
+              onChange={(event) =>
+                setParams({ ...params, [param.name]: event.target.value })
+              }
+            />
+          )}
+        </label>
+      ))}
+      <div style={{ display: "flex", gap: "0.5em" }}>
+        <button
+          onClick={() => play(animation.name, params).catch(reportRpcError)}
+        >
+          {state === "paused" ? "Resume" : "Play"}
+        </button>
+        {canControl && (
+          <>
+            <button
+              disabled={state !== "playing"}
+              onClick={() => pause(animation.name).catch(reportRpcError)}
+            >
+              Pause
+            </button>
+            <button
+              disabled={state === "stopped"}
+              onClick={() => stop(animation.name).catch(reportRpcError)}
+            >
+              Stop
+            </button>
+          </>
+        )}
+      </div>
+      {canControl && animation.duration !== undefined && (
+        <input
+          type="range"
+          aria-label={`Seek ${animation.label}`}
+          min={0}
+          max={animation.duration}
+          defaultValue={0}
+          onChange={(event) =>
+            seek(animation.name, +event.target.value).catch(reportRpcError)
+          }
+          style={{ width: "100%" }}
+        />
+      )}
+    </fieldset>
+  );
+};
+
+const AnimationControls = () => {
+  const { animations } = useAnimations();
+
+  if (!animations.length) return null;
+
+  return (
+    <section
+      aria-label="Scene effects"
+      style={{
+        position: "absolute",
+        right: 16,
+        bottom: 16,
+        width: 240,
+        padding: "0.5em 1em",
+        background: "rgba(255, 255, 255, 0.9)",
+        color: "#213547",
+      }}
+    >
+      {animations.map((animation) => (
+        <AnimationRow key={animation.name} animation={animation} />
+      ))}
+    </section>
+  );
+};
+
+export default AnimationControls;
@@ -0,0 +1,36 @@
+import { useCamera, useViewerStatus } from "../bridge/hooks";
+import { reportRpcError } from "../bridge/rpc";
+
+const CameraPresets = () => {
+  const { capabilities } = useViewerStatus();
+  const { presets, goToPreset } = useCamera();
+
+  if (!presets.length || !capabilities?.commands.has("animateCamera")) {
+    return null;
+  }
+
+  return (
+    <nav
+      aria-label="Camera views"
+      style={{
+        position: "absolute",
+        bottom: 16,
+        left: "50%",
+        transform: "translateX(-50%)",
+        display: "flex",
+        gap: "0.5em",
+      }}
+    >
+      {presets.map((preset) => (
+        <button
+          key={preset.id}
+          onClick={() => goToPreset(preset.id).catch(reportRpcError)}
+        >
+          {preset.name}
+        </button>
+      ))}
+    </nav>
+  );
+};
+
+export default CameraPresets;
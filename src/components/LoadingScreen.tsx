@@ -0,0 +1,150 @@
+import { useViewerBridge } from "../bridge/hooks";
+import { STALL_DESCRIPTIONS } from "../bridge/watchdog";
+import { THEME_COLORS, type Theme } from "./theme";
+
+type StageState = "pending" | "active" | "done" | "error";
+
+const STAGE_ICONS: Record<StageState, string> = {
+  pending: "○",
+  active: "◌",
+  done: "●",
+  error: "✕",
+};
+
+type LoadingScreenProps = {
+  theme?: Theme;
+};
+
+const LoadingScreen = ({ theme = "light" }: LoadingScreenProps) => {
+  const { status, reloadViewer, retryData } = useViewerBridge();
+  const {
+    progress,
+    isLoadingComplete,
+    isSceneReady,
+    handshake,
+    dataStatus,
+    dataError,
+    developmentData,
+    watchdog,
+  } = status;
+
+  if (isSceneReady) return null;
+
+  const stalled = watchdog.status === "failed" ? watchdog.phase : null;
+  const stages: { label: string; state: StageState; detail?: string }[] = [
+    {
+      label: "Loading development data",
+      state:
+        dataStatus === "success"
+          ? "done"
+          : dataStatus === "error"
+            ? "error"
+            : "active",
+      detail: dataError?.message,
+    },
+    {
+      label: "Downloading 3D assets",
+      state:
+        handshake.status === "refused" ||
+        stalled === "connect" ||
+        stalled === "assets"
+          ? "error"
+          : isLoadingComplete
+            ? "done"
+            : "active",
+      detail:
+        handshake.status === "refused"
+          ? `Incompatible viewer: ${handshake.reason}`
+          : undefined,
+    },
+    {
+      label: "Building scene",
+      state:
+        stalled === "scene"
+          ? "error"
+          : isLoadingComplete && developmentData
+            ? "active"
+            : "pending",
+    },
+  ];
+  const failed = stages.some((stage) => stage.state === "error");
+  const canRetry = stalled !== null || dataStatus === "error";
+  const colors = THEME_COLORS[theme];
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "1em",
+        background: colors.background,
+        color: colors.foreground,
+      }}
+    >
+      <h1 style={{ fontSize: "2em", margin: 0 }}>
+        {developmentData?.name ?? "Loading"}
+      </h1>
+      <div
+        role="progressbar"
+        aria-label="3D assets"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress ?? 0}
+        style={{
+          width: 320,
+          height: 8,
+          borderRadius: 4,
+          overflow: "hidden",
+          background: colors.track,
+        }}
+      >
+        <div
+          style={{
+            width: `${progress ?? 0}%`,
+            height: "100%",
+            background: failed ? "#e53935" : colors.foreground,
+            transition: "width 0.2s ease-out",
+          }}
+        />
+      </div>
+      <span>{Math.round(progress ?? 0)}%</span>
+      <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+        {stages.map((stage) => (
+          <li key={stage.label}>
+            {STAGE_ICONS[stage.state]} {stage.label}
+            {stage.detail && (
+              <small style={{ display: "block", marginLeft: "1.5em" }}>
+                {stage.detail}
+              </small>
+            )}
+          </li>
+        ))}
+      </ul>
+      {watchdog.status === "reloading" && (
+        <p>
+          {STALL_DESCRIPTIONS[watchdog.phase]}, restarting (attempt{" "}
+          {watchdog.attempts})…
+        </p>
+      )}
+      {stalled && <p>{STALL_DESCRIPTIONS[stalled]}.</p>}
+      {canRetry && (
+        <button
+          onClick={() => {
+            if (dataStatus === "error") retryData();
+            if (stalled) reloadViewer();
+          }}
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LoadingScreen;
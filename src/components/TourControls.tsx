@@ -0,0 +1,128 @@
+import { useState } from "react";
+import { useViewerStatus } from "../bridge/hooks";
+import { useAttractMode } from "../tour/useAttractMode";
+import { useTour } from "../tour/useTour";
+
+const formatTime = (ms: number) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+const TourControls = () => {
+  const { isSceneReady } = useViewerStatus();
+  const {
+    tours,
+    tour,
+    state,
+    time,
+    caption,
+    start,
+    pause,
+    resume,
+    stop,
+    seek,
+  } = useTour();
+  const [attracting, setAttracting] = useState(false);
+  const attractTour = tours.find((candidate) => candidate.attract);
+
+  useAttractMode({
+    enabled:
+      isSceneReady && !!attractTour && (state === "stopped" || attracting),
+    playing: attracting && state !== "stopped",
+    onIdle: () => {
+      if (!attractTour) return;
+      setAttracting(true);
+      start(attractTour.id);
+    },
+    onActive: () => {
+      if (!attracting) return;
+      setAttracting(false);
+      stop();
+    },
+  });
+
+  if (!tours.length) return null;
+
+  return (
+    <>
+      {caption && (
+        <p
+          aria-live="polite"
+          style={{
+            position: "absolute",
+            bottom: 64,
+            left: "50%",
+            transform: "translateX(-50%)",
+            margin: 0,
+            padding: "0.5em 1em",
+            borderRadius: 4,
+            fontSize: "1.5em",
+            background: "rgba(0, 0, 0, 0.6)",
+            color: "#fff",
+            pointerEvents: "none",
+          }}
+        >
+          {caption}
+        </p>
+      )}
+      <section
+        aria-label="Guided tours"
+        style={{
+          position: "absolute",
+          top: 48,
+          right: 16,
+          display: "flex",
+          alignItems: "center",
+          gap: "0.5em",
+          padding: "0.25em 0.5em",
+          background: "rgba(255, 255, 255, 0.9)",
+          color: "#213547",
+        }}
+      >
+        {state === "stopped" ? (
+          tours.map((candidate) => (
+            <button
+              key={candidate.id}
+              onClick={() => {
+                setAttracting(false);
+                start(candidate.id);
+              }}
+            >
+              ▶ {candidate.name}
+            </button>
+          ))
+        ) : (
+          <>
+            <span>{tour?.name}</span>
+            {state === "playing" ? (
+              <button onClick={pause}>Pause</button>
+            ) : (
+              <button onClick={resume}>Resume</button>
+            )}
+            <button
+              onClick={() => {
+                setAttracting(false);
+                stop();
+              }}
+            >
+              Stop
+            </button>
+            <input
+              type="range"
+              aria-label="Tour position"
+              min={0}
+              max={tour?.duration ?? 0}
+              value={time}
+              onChange={(event) => seek(+event.target.value)}
+            />
+            <span>
+              {formatTime(time)} / {formatTime(tour?.duration ?? 0)}
+            </span>
+          </>
+        )}
+      </section>
+    </>
+  );
+};
+
+export default TourControls;
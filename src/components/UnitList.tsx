@@ -0,0 +1,217 @@
+import { useEffect, useMemo, useRef } from "react";
+import { EMPTY_FILTERS, filterUnits, type UnitFilters } from "../api/filters";
+import { formatPrice } from "../api/selectors";
+import type { Orientation, UnitStatus } from "../api/types";
+import { useViewerBridge, useViewerCommand } from "../bridge/hooks";
+import { reportRpcError } from "../bridge/rpc";
+import { STATUS_STYLES } from "../bridge/unitStyles";
+
+const LISTED_STATUSES: UnitStatus[] = ["available", "reserved", "sold"];
+
+const toggle = <T,>(values: T[], value: T) =>
+  values.includes(value)
+    ? values.filter((current) => current !== value)
+    : [...values, value];
+
+const unique = <T,>(values: T[]) =>
+  [...new Set(values)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+const parseBound = (value: string) =>
+  value.trim() === "" || Number.isNaN(Number(value)) ? null : Number(value);
+
+type CheckboxGroupProps<T extends string | number> = {
+  label: string;
+  options: T[];
+  selected: T[];
+  onChange: (selected: T[]) => void;
+};
+
+const CheckboxGroup = <T extends string | number>({
+  label,
+  options,
+  selected,
+  onChange,
+}: CheckboxGroupProps<T>) => (
+  <fieldset style={{ border: "none", padding: 0, margin: "0.5em 0" }}>
+    <legend>{label}</legend>
+    {options.map((option) => (
+      <label key={option} style={{ marginRight: "0.75em" }}>
+        <input
+          type="checkbox"
+          checked={selected.includes(option)}
+          onChange={() => onChange(toggle(selected, option))}
+        />
+        {option}
+      </label>
+    ))}
+  </fieldset>
+);
+
+const UnitList = () => {
+  const { status, selectUnit, setFilters } = useViewerBridge();
+  const { developmentData, activeUnit, filters, capabilities } = status;
+  const focusUnit = useViewerCommand("focusUnit");
+  const rows = useRef(new Map<string, HTMLTableRowElement>());
+
+  const listed = useMemo(
+    () =>
+      developmentData
+        ? developmentData.units.filter((unit) => unit.status !== "hidden")
+        : [],
+    [developmentData],
+  );
+  const units = useMemo(
+    () =>
+      developmentData
+        ? filterUnits({ ...developmentData, units: listed }, filters)
+        : [],
+    [developmentData, listed, filters],
+  );
+  const floorLevels = useMemo(
+    () => unique(developmentData?.floors.map((floor) => floor.level) ?? []),
+    [developmentData],
+  );
+
+  useEffect(() => {
+    if (!activeUnit) return;
+    rows.current.get(activeUnit)?.scrollIntoView({
+      block: "nearest",
+      behavior: "smooth",
+    });
+  }, [activeUnit]);
+
+  if (!developmentData) return null;
+
+  const update = (changes: Partial<UnitFilters>) =>
+    setFilters({ ...filters, ...changes });
+
+  const select = (name: string) => {
+    selectUnit(name);
+    if (capabilities?.commands.has("focusUnit")) {
+      focusUnit({ name }).catch(reportRpcError);
+    }
+  };
+
+  return (
+    <section
+      aria-label="Units"
+      style={{
+        position: "absolute",
+        top: 60,
+        left: 0,
+        bottom: 0,
+        width: 380,
+        display: "flex",
+        flexDirection: "column",
+        padding: "0.5em 1em",
+        boxSizing: "border-box",
+        background: "rgba(255, 255, 255, 0.9)",
+        color: "#213547",
+      }}
+    >
+      <input
+        type="search"
+        placeholder="Search units or buildings"
+        value={filters.search}
+        onChange={(event) => update({ search: event.target.value })}
+      />
+      <CheckboxGroup
+        label="Bedrooms"
+        options={unique(listed.map((unit) => unit.bedrooms))}
+        selected={filters.bedrooms}
+        onChange={(bedrooms) => update({ bedrooms })}
+      />
+      <fieldset style={{ border: "none", padding: 0, margin: "0.5em 0" }}>
+        <legend>Price</legend>
+        <input
+          type="number"
+          placeholder="Min"
+          aria-label="Minimum price"
+          value={filters.minPrice ?? ""}
+          onChange={(event) =>
+            update({ minPrice: parseBound(event.target.value) })
+          }
+          style={{ width: "45%" }}
+        />
+        {" – "}
+        <input
+          type="number"
+          placeholder="Max"
+          aria-label="Maximum price"
+          value={filters.maxPrice ?? ""}
+          onChange={(event) =>
+            update({ maxPrice: parseBound(event.target.value) })
+          }
+          style={{ width: "45%" }}
+        />
+      </fieldset>
+      <CheckboxGroup
+        label="Floor"
+        options={floorLevels}
+        selected={filters.floors}
+        onChange={(floors) => update({ floors })}
+      />
+      <CheckboxGroup
+        label="Status"
+        options={LISTED_STATUSES}
+        selected={filters.statuses}
+        onChange={(statuses) => update({ statuses })}
+      />
+      <CheckboxGroup<Orientation>
+        label="Orientation"
+        options={unique(listed.map((unit) => unit.orientation))}
+        selected={filters.orientations}
+        onChange={(orientations) => update({ orientations })}
+      />
+      <button onClick={() => setFilters(EMPTY_FILTERS)}>Clear filters</button>
+      <p>
+        {units.length} of {listed.length} units
+      </p>
+      <div style={{ flex: 1, overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th>Unit</th>
+              <th>Beds</th>
+              <th>Area</th>
+              <th>Price</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {units.map((unit) => (
+              <tr
+                key={unit.id}
+                ref={(row) => {
+                  if (row) rows.current.set(unit.name, row);
+                  else rows.current.delete(unit.name);
+                }}
+                aria-selected={unit.name === activeUnit}
+                tabIndex={0}
+                onClick={() => select(unit.name)}
+                onKeyDown={(event) => {
+                  if (event.key === "Enter") select(unit.name);
+                }}
+                style={{
+                  cursor: "pointer",
+                  background:
+                    unit.name === activeUnit ? "#dbe4ff" : "transparent",
+                }}
+              >
+                <td>{unit.name}</td>
+                <td>{unit.bedrooms}</td>
+                <td>{unit.area} m²</td>
+                <td>{formatPrice(unit.price, developmentData.currency)}</td>
+                <td style={{ color: STATUS_STYLES[unit.status].color }}>
+                  {unit.status}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+};
+
+export default UnitList;
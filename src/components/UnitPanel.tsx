@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from "react";
+import { ApiError, RESERVATION_URL } from "../api/client";
+import {
+  findBuilding,
+  findFloor,
+  findUnitByName,
+  formatPrice,
+} from "../api/selectors";
+import { useViewerBridge } from "../bridge/hooks";
+import { STATUS_STYLES } from "../bridge/unitStyles";
+
+const UnitPanel = () => {
+  const { status, selectUnit, setReservation } = useViewerBridge();
+  const { activeUnit, developmentData, lastChange } = status;
+  const panelRef = useRef<HTMLElement>(null);
+  // the reservation request in flight or last failed, for the unit it was for
+  const [request, setRequest] = useState<{
+    unitId: string;
+    error: string | null;
+  } | null>(null);
+
+  useEffect(() => {
+    if (!activeUnit) return;
+    panelRef.current?.focus();
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === "Escape") selectUnit(null);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [activeUnit, selectUnit]);
+
+  const toggleReservation = (unitId: string, reserved: boolean) => {
+    setRequest({ unitId, error: null });
+    setReservation(unitId, reserved).then(
+      () => setRequest(null),
+      (error: unknown) =>
+        setRequest({
+          unitId,
+          error:
+            error instanceof ApiError && error.status === 409
+              ? "Someone else changed this unit first."
+              : `Couldn't ${reserved ? "reserve" : "release"} the unit, try again.`,
+        }),
+    );
+  };
+
+  if (!activeUnit) return null;
+
+  const unit = developmentData
+    ? findUnitByName(developmentData, activeUnit)
+    : null;
+  const floor =
+    unit && developmentData ? findFloor(developmentData, unit) : null;
+  const building =
+    unit && developmentData ? findBuilding(developmentData, unit) : null;
+  const unitRequest = unit && request?.unitId === unit.id ? request : null;
+  const pending = unitRequest !== null && unitRequest.error === null;
+
+  return (
+    <aside
+      ref={panelRef}
+      role="dialog"
+      aria-labelledby="unit-panel-title"
+      tabIndex={-1}
+      style={{
+        position: "absolute",
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 320,
+        padding: "1em",
+        boxSizing: "border-box",
+        overflowY: "auto",
+        background: "rgba(255, 255, 255, 0.95)",
+        color: "#213547",
+        boxShadow: "-2px 0 12px rgba(0, 0, 0, 0.15)",
+        outline: "none",
+      }}
+    >
+      <button
+        aria-label="Close"
+        onClick={() => selectUnit(null)}
+        style={{ float: "right" }}
+      >
+        ×
+      </button>
+      <h2 id="unit-panel-title">Unit {activeUnit}</h2>
+      {!unit || !developmentData ? (
+        <p>No details available for this unit.</p>
+      ) : (
+        <>
+          <p
+            style={{
+              display: "inline-block",
+              padding: "0.2em 0.6em",
+              borderRadius: 4,
+              color: "#fff",
+              background: STATUS_STYLES[unit.status].color,
+              textTransform: "capitalize",
+            }}
+          >
+            {unit.status}
+          </p>
+          {lastChange?.unitId === unit.id && (
+            <p role="alert" style={{ margin: 0, color: "#b71c1c" }}>
+              Updated elsewhere at{" "}
+              {new Date(lastChange.at).toLocaleTimeString()}
+            </p>
+          )}
+          <dl>
+            <dt>Building</dt>
+            <dd>{building?.name ?? unit.buildingId}</dd>
+            <dt>Floor</dt>
+            <dd>{floor?.name ?? unit.floorId}</dd>
+            <dt>Area</dt>
+            <dd>{unit.area} m²</dd>
+            <dt>Bedrooms</dt>
+            <dd>{unit.bedrooms}</dd>
+            <dt>Price</dt>
+            <dd>{formatPrice(unit.price, developmentData.currency)}</dd>
+          </dl>
+          {unit.floorPlanUrl && (
+            <img
+              src={unit.floorPlanUrl}
+              alt={`Floor plan for unit ${unit.name}`}
+              style={{ width: "100%" }}
+            />
+          )}
+          {RESERVATION_URL && (
+            <div style={{ display: "flex", gap: "0.5em" }}>
+              {unit.status === "available" && (
+                <button
+                  disabled={pending}
+                  onClick={() => toggleReservation(unit.id, true)}
+                >
+                  Reserve
+                </button>
+              )}
+              {unit.status === "reserved" && (
+                <button
+                  disabled={pending}
+                  onClick={() => toggleReservation(unit.id, false)}
+                >
+                  Release
+                </button>
+              )}
+            </div>
+          )}
+          {unitRequest?.error && (
+            <p role="alert" style={{ color: "#b71c1c" }}>
+              {unitRequest.error}
+            </p>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default UnitPanel;
@@ -0,0 +1,14 @@
+import type { PanelId, UrlState } from "../url/urlState";
+import { useUrlStateSync } from "../url/useUrlStateSync";
+
+type UrlStateSyncProps = {
+  initial: UrlState;
+  panels: PanelId[];
+};
+
+const UrlStateSync = ({ initial, panels }: UrlStateSyncProps) => {
+  useUrlStateSync(initial, panels);
+  return null;
+};
+
+export default UrlStateSync;
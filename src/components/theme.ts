@@ -0,0 +1,19 @@
+export type Theme = "light" | "dark";
+
+export const THEMES: readonly Theme[] = ["light", "dark"];
+
+export const THEME_COLORS: Record<
+  Theme,
+  { background: string; foreground: string; track: string }
+> = {
+  light: {
+    background: "#b2b9c8",
+    foreground: "#213547",
+    track: "rgba(255, 255, 255, 0.5)",
+  },
+  dark: {
+    background: "#1b1f27",
+    foreground: "#e6e9ef",
+    track: "rgba(255, 255, 255, 0.15)",
+  },
+};
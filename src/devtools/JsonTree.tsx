@@ -0,0 +1,36 @@
+type JsonTreeProps = {
+  value: unknown;
+  label?: string;
+};
+
+const summary = (value: unknown) =>
+  Array.isArray(value) ? `Array(${value.length})` : "{…}";
+
+const JsonTree = ({ value, label }: JsonTreeProps) => {
+  const prefix = label === undefined ? null : <span>{label}: </span>;
+  if (typeof value !== "object" || value === null) {
+    return (
+      <div>
+        {prefix}
+        <code style={{ color: typeof value === "string" ? "#0a7" : "#36c" }}>
+          {JSON.stringify(value) ?? String(value)}
+        </code>
+      </div>
+    );
+  }
+  return (
+    <details>
+      <summary>
+        {prefix}
+        {summary(value)}
+      </summary>
+      <div style={{ paddingLeft: "1em" }}>
+        {Object.entries(value).map(([key, child]) => (
+          <JsonTree key={key} label={key} value={child} />
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default JsonTree;
@@ -0,0 +1,120 @@
+import { useRef, useState } from "react";
+import { useViewerBridge } from "../bridge/hooks";
+import {
+  downloadRecording,
+  parseRecording,
+  replaySession,
+  type ReplayTarget,
+} from "../bridge/session";
+
+type Replay = {
+  name: string;
+  sent: number;
+  total: number;
+  cancel: () => void;
+};
+
+const SessionControls = () => {
+  const { session, postRaw, injectViewerMessage, detachViewer } =
+    useViewerBridge();
+  const [target, setTarget] = useState<ReplayTarget>("viewer");
+  const [speed, setSpeed] = useState(1);
+  const [replay, setReplay] = useState<Replay | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const startReplay = async (file: File) => {
+    setError(null);
+    try {
+      const recording = parseRecording(await file.text());
+      // the recorded viewer takes the real one's place until the replay ends
+      const reattach = target === "host" ? detachViewer() : null;
+      const { done, cancel, total } = replaySession(recording, {
+        target,
+        speed,
+        postToViewer: postRaw,
+        injectIntoHost: injectViewerMessage,
+        onProgress: (sent, total) =>
+          setReplay((current) => current && { ...current, sent, total }),
+      });
+      setReplay({ name: file.name, sent: 0, total, cancel });
+      await done;
+      setReplay(null);
+      reattach?.();
+    } catch (caught) {
+      setError(caught instanceof Error ? caught.message : String(caught));
+    }
+  };
+
+  return (
+    <section
+      aria-label="Session recording"
+      style={{
+        position: "absolute",
+        left: 16,
+        bottom: 56,
+        zIndex: 1000,
+        display: "flex",
+        alignItems: "center",
+        gap: "0.5em",
+        padding: "0.25em 0.5em",
+        fontSize: 12,
+        background: "rgba(255, 255, 255, 0.9)",
+        color: "#213547",
+      }}
+    >
+      {session.isRecording ? (
+        <button onClick={() => downloadRecording(session.stop())}>
+          ■ Stop &amp; download
+        </button>
+      ) : (
+        <button onClick={session.start}>● Record</button>
+      )}
+      {replay ? (
+        <>
+          <span>
+            Replaying {replay.name} ({replay.sent}/{replay.total})
+          </span>
+          <button onClick={replay.cancel}>Cancel</button>
+        </>
+      ) : (
+        <>
+          <select
+            aria-label="Replay into"
+            value={target}
+            onChange={(event) => setTarget(event.target.value as ReplayTarget)}
+          >
+            <option value="viewer">replay to viewer</option>
+            <option value="host">replay to host</option>
+          </select>
+          <select
+            aria-label="Replay speed"
+            value={speed}
+            onChange={(event) => setSpeed(+event.target.value)}
+          >
+            {[0.5, 1, 2, 4].map((value) => (
+              <option key={value} value={value}>
+                {value}×
+              </option>
+            ))}
+          </select>
+          <button onClick={() => fileInput.current?.click()}>Replay…</button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            hidden
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              event.target.value = "";
+              if (file) startReplay(file);
+            }}
+          />
+        </>
+      )}
+      {error && <span style={{ color: "#e53935" }}>{error}</span>}
+    </section>
+  );
+};
+
+export default SessionControls;
@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useState } from "react";
+import { useViewerBridge } from "../bridge/hooks";
+import { trafficLog, type TrafficEntry } from "../bridge/traffic";
+import JsonTree from "./JsonTree";
+
+// Dev-only overlay listing every message crossing the viewer bridge. App.tsx
+// only imports it behind `import.meta.env.DEV`, so it is not in production
+// bundles.
+
+const typeOf = (payload: unknown) =>
+  typeof payload === "object" &&
+  payload !== null &&
+  typeof (payload as { type?: unknown }).type === "string"
+    ? (payload as { type: string }).type
+    : "(untyped)";
+
+const formatTime = (time: number) => `${(time / 1000).toFixed(3)}s`;
+
+const TrafficInspector = () => {
+  const { postRaw: send } = useViewerBridge();
+  const [open, setOpen] = useState(false);
+  const [entries, setEntries] = useState<readonly TrafficEntry[]>(
+    () => trafficLog?.getEntries() ?? [],
+  );
+  const [typeFilter, setTypeFilter] = useState("");
+  const [draft, setDraft] = useState<string | null>(null);
+  const [draftError, setDraftError] = useState<string | null>(null);
+
+  useEffect(() => trafficLog?.subscribe(setEntries), []);
+
+  const types = useMemo(
+    () => [...new Set(entries.map((entry) => typeOf(entry.payload)))].sort(),
+    [entries],
+  );
+  const visible = typeFilter
+    ? entries.filter((entry) => typeOf(entry.payload) === typeFilter)
+    : entries;
+
+  const sendDraft = () => {
+    if (draft === null) return;
+    try {
+      send(JSON.parse(draft));
+      setDraft(null);
+      setDraftError(null);
+    } catch (error) {
+      setDraftError(error instanceof Error ? error.message : String(error));
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        style={{ position: "absolute", left: 16, bottom: 16, zIndex: 1000 }}
+      >
+        Bridge ({entries.length})
+      </button>
+    );
+  }
+
+  return (
+    <section
+      aria-label="Bridge traffic"
+      style={{
+        position: "absolute",
+        left: 16,
+        bottom: 16,
+        width: 480,
+        maxHeight: "60vh",
+        display: "flex",
+        flexDirection: "column",
+        zIndex: 1000,
+        padding: "0.5em",
+        fontFamily: "monospace",
+        fontSize: 12,
+        background: "rgba(255, 255, 255, 0.97)",
+        color: "#213547",
+        boxShadow: "0 2px 12px rgba(0, 0, 0, 0.25)",
+      }}
+    >
+      <div style={{ display: "flex", gap: "0.5em", alignItems: "center" }}>
+        <strong style={{ flex: 1 }}>Bridge traffic</strong>
+        <select
+          aria-label="Filter by type"
+          value={typeFilter}
+          onChange={(event) => setTypeFilter(event.target.value)}
+        >
+          <option value="">all types</option>
+          {types.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => setDraft('{\n  "type": ""\n}')}>New</button>
+        <button onClick={() => trafficLog?.clear()}>Clear</button>
+        <button onClick={() => setOpen(false)}>×</button>
+      </div>
+      {draft !== null && (
+        <div>
+          <textarea
+            aria-label="Message to send"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            rows={8}
+            style={{ width: "100%", boxSizing: "border-box" }}
+          />
+          {draftError && <div style={{ color: "#e53935" }}>{draftError}</div>}
+          <button onClick={sendDraft}>Send to viewer</button>
+          <button onClick={() => setDraft(null)}>Cancel</button>
+        </div>
+      )}
+      <ol
+        style={{ listStyle: "none", margin: 0, padding: 0, overflowY: "auto" }}
+      >
+        {visible.map((entry) => (
+          <li
+            key={entry.id}
+            style={{
+              borderTop: "1px solid #ddd",
+              padding: "0.25em 0",
+              color: entry.error ? "#e53935" : undefined,
+            }}
+          >
+            <span>{formatTime(entry.time)} </span>
+            <span>{entry.direction === "out" ? "→ viewer" : "← viewer"} </span>
+            <strong>{typeOf(entry.payload)}</strong>
+            {entry.error && <span> (dropped: {entry.error})</span>}
+            {entry.direction === "out" && (
+              <>
+                {" "}
+                <button onClick={() => send(entry.payload)}>Resend</button>
+                <button
+                  onClick={() =>
+                    setDraft(JSON.stringify(entry.payload, null, 2))
+                  }
+                >
+                  Edit
+                </button>
+              </>
+            )}
+            <JsonTree value={entry.payload} />
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default TrafficInspector;
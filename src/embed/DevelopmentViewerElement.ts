@@ -0,0 +1,96 @@
+import { createElement } from "react";
+import { createRoot, type Root } from "react-dom/client";
+import { DEVELOPMENT_ID } from "../api/client";
+import type { Unit } from "../api/types";
+import { THEMES, type Theme } from "../components/theme";
+import EmbedViewer from "./EmbedViewer";
+
+export type DevelopmentViewerEventMap = {
+  // the scene is built and the viewer takes input
+  "viewer-ready": CustomEvent<{ developmentId: string }>;
+  // a unit was picked in the scene, `unit` is null when deselected
+  "unit-select": CustomEvent<{ unit: Unit | null }>;
+};
+
+const SHADOW_STYLES = `
+  :host { display: block; position: relative; height: 480px; }
+  :host([hidden]) { display: none; }
+  iframe { display: block; border: 0; }
+`;
+
+// separate React roots would otherwise generate the same viewer instance ids
+let nextRoot = 0;
+
+// <development-viewer development-id="demo" camera="aerial" theme="dark">
+//
+// Renders the same Viewer + bridge as the app inside a shadow root, so the
+// partner page's CSS can't reach it. `camera` names a preset: the scene opens
+// on it, and changing the attribute later flies the camera there.
+export class DevelopmentViewerElement extends HTMLElement {
+  static observedAttributes = ["development-id", "camera", "theme", "src"];
+
+  private container: HTMLDivElement | null = null;
+  private root: Root | null = null;
+
+  get developmentId() {
+    return this.getAttribute("development-id") ?? DEVELOPMENT_ID;
+  }
+
+  get theme(): Theme {
+    const theme = this.getAttribute("theme");
+    return THEMES.find((candidate) => candidate === theme) ?? "light";
+  }
+
+  connectedCallback() {
+    if (!this.container) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = SHADOW_STYLES;
+      this.container = document.createElement("div");
+      this.container.style.height = "100%";
+      shadow.append(style, this.container);
+    }
+    this.root ??= createRoot(this.container, {
+      identifierPrefix: `development-viewer-${++nextRoot}-`,
+    });
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  private emit<K extends keyof DevelopmentViewerEventMap>(
+    type: K,
+    detail: DevelopmentViewerEventMap[K]["detail"],
+  ) {
+    this.dispatchEvent(
+      new CustomEvent(type, { detail, bubbles: true, composed: true }),
+    );
+  }
+
+  private render() {
+    this.root?.render(
+      createElement(EmbedViewer, {
+        developmentId: this.developmentId,
+        camera: this.getAttribute("camera") ?? undefined,
+        theme: this.theme,
+        src: this.getAttribute("src") ?? undefined,
+        onReady: (developmentId) =>
+          this.emit("viewer-ready", { developmentId }),
+        onUnitSelect: (unit) => this.emit("unit-select", { unit }),
+      }),
+    );
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "development-viewer": DevelopmentViewerElement;
+  }
+}
@@ -0,0 +1,96 @@
+import { useEffect, useRef } from "react";
+import { findUnitByName } from "../api/selectors";
+import type { Unit } from "../api/types";
+import { useCamera, useViewerStatus } from "../bridge/hooks";
+import { reportRpcError } from "../bridge/rpc";
+import ViewerProvider from "../bridge/ViewerProvider";
+import LoadingScreen from "../components/LoadingScreen";
+import { THEME_COLORS, type Theme } from "../components/theme";
+import Viewer from "../components/Viewer";
+
+export type EmbedEvents = {
+  onReady: (developmentId: string) => void;
+  onUnitSelect: (unit: Unit | null) => void;
+};
+
+type EmbedViewerProps = EmbedEvents & {
+  developmentId: string;
+  camera?: string;
+  theme: Theme;
+  src?: string;
+};
+
+// Turns bridge state into the element's events and follows camera changes
+// made through the attribute after the scene is up.
+const EmbedBridge = ({
+  camera,
+  onReady,
+  onUnitSelect,
+}: EmbedEvents & { camera?: string }) => {
+  const { isSceneReady, activeUnit, developmentData } = useViewerStatus();
+  const { goToPreset } = useCamera();
+  const events = useRef({ onReady, onUnitSelect });
+  useEffect(() => {
+    events.current = { onReady, onUnitSelect };
+  });
+
+  const readyId = isSceneReady ? developmentData?.id : undefined;
+  useEffect(() => {
+    if (readyId) events.current.onReady(readyId);
+  }, [readyId]);
+
+  const lastSelected = useRef<string | null>(null);
+  useEffect(() => {
+    if (!developmentData || activeUnit === lastSelected.current) return;
+    lastSelected.current = activeUnit;
+    events.current.onUnitSelect(
+      activeUnit ? findUnitByName(developmentData, activeUnit) : null,
+    );
+  }, [activeUnit, developmentData]);
+
+  // the initial preset goes out with `initialize`, only later changes move
+  const appliedCamera = useRef(camera);
+  useEffect(() => {
+    if (!isSceneReady || !camera || camera === appliedCamera.current) return;
+    appliedCamera.current = camera;
+    goToPreset(camera).catch(reportRpcError);
+  }, [camera, isSceneReady, goToPreset]);
+
+  return null;
+};
+
+const EmbedViewer = ({
+  developmentId,
+  camera,
+  theme,
+  src,
+  onReady,
+  onUnitSelect,
+}: EmbedViewerProps) => (
+  <div
+    style={{
+      position: "relative",
+      width: "100%",
+      height: "100%",
+      overflow: "hidden",
+      colorScheme: theme,
+      background: THEME_COLORS[theme].background,
+    }}
+  >
+    <ViewerProvider
+      src={src}
+      developmentId={developmentId}
+      initialCamera={camera}
+    >
+      <Viewer />
+      <LoadingScreen theme={theme} />
+      <EmbedBridge
+        camera={camera}
+        onReady={onReady}
+        onUnitSelect={onUnitSelect}
+      />
+    </ViewerProvider>
+  </div>
+);
+
+export default EmbedViewer;
@@ -0,0 +1,20 @@
+// Library entry for partner sites, built by `npm run build:embed`. Loading
+// the bundle registers <development-viewer>; the script-tag (IIFE) build also
+// exposes these exports as `window.DevelopmentViewer`.
+import { defineDevelopmentViewer } from "./sdk";
+
+defineDevelopmentViewer();
+
+export {
+  DevelopmentViewerElement,
+  type DevelopmentViewerEventMap,
+} from "./DevelopmentViewerElement";
+export {
+  defineDevelopmentViewer,
+  mountDevelopmentViewer,
+  TAG_NAME,
+  type DevelopmentViewerHandle,
+  type DevelopmentViewerOptions,
+} from "./sdk";
+export type { Unit } from "../api/types";
+export type { Theme } from "../components/theme";
@@ -0,0 +1,83 @@
+import type { Unit } from "../api/types";
+import type { Theme } from "../components/theme";
+import {
+  DevelopmentViewerElement,
+  type DevelopmentViewerEventMap,
+} from "./DevelopmentViewerElement";
+
+export const TAG_NAME = "development-viewer";
+
+export type DevelopmentViewerOptions = {
+  developmentId?: string;
+  // camera preset id to open on
+  camera?: string;
+  theme?: Theme;
+  // viewer page, must be absolute when embedded on another origin
+  src?: string;
+  onReady?: (developmentId: string) => void;
+  onUnitSelect?: (unit: Unit | null) => void;
+};
+
+export type DevelopmentViewerHandle = {
+  element: DevelopmentViewerElement;
+  setCamera: (presetId: string) => void;
+  setTheme: (theme: Theme) => void;
+  destroy: () => void;
+};
+
+// Safe to call more than once, e.g. when the script tag is included twice.
+export const defineDevelopmentViewer = () => {
+  if (!customElements.get(TAG_NAME)) {
+    customElements.define(TAG_NAME, DevelopmentViewerElement);
+  }
+};
+
+// Script-tag alternative to writing the element by hand:
+//
+//   DevelopmentViewer.mountDevelopmentViewer(el, { developmentId: "demo" })
+export const mountDevelopmentViewer = (
+  container: HTMLElement,
+  {
+    developmentId,
+    camera,
+    theme,
+    src,
+    onReady,
+    onUnitSelect,
+  }: DevelopmentViewerOptions = {},
+): DevelopmentViewerHandle => {
+  defineDevelopmentViewer();
+  const element = document.createElement(TAG_NAME);
+  const attributes = {
+    "development-id": developmentId,
+    camera,
+    theme,
+    src,
+  };
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value !== undefined) element.setAttribute(name, value);
+  });
+  if (onReady) {
+    element.addEventListener("viewer-ready", (event) =>
+      onReady(
+        (event as DevelopmentViewerEventMap["viewer-ready"]).detail
+          .developmentId,
+      ),
+    );
+  }
+  if (onUnitSelect) {
+    element.addEventListener("unit-select", (event) =>
+      onUnitSelect(
+        (event as DevelopmentViewerEventMap["unit-select"]).detail.unit,
+      ),
+    );
+  }
+  container.append(element);
+
+  return {
+    element,
+    setCamera: (presetId) => element.setAttribute("camera", presetId),
+    setTheme: (next) => element.setAttribute("theme", next),
+    destroy: () => element.remove(),
+  };
+};
@@ -0,0 +1,45 @@
+import { createMockViewer, type MockViewerOptions } from "./mockViewer";
+
+// Runs a mock viewer "inside" an iframe rendered by <Viewer /> under jsdom.
+// jsdom's postMessage fills in neither `source` nor `origin`, both of which
+// the bridge checks, so messages in both directions are relayed here with
+// them set as a browser would.
+export const attachMockViewer = (
+  iframe: HTMLIFrameElement,
+  options: Omit<MockViewerOptions, "host" | "self" | "targetOrigin"> = {},
+) => {
+  const host = iframe.ownerDocument.defaultView;
+  const viewer = iframe.contentWindow;
+  if (!host || !viewer) throw new Error("iframe is not attached");
+  const origin = host.location.origin;
+
+  const relay = (target: Window, source: Window) =>
+    ((data: unknown) => {
+      setTimeout(() =>
+        target.dispatchEvent(
+          new MessageEvent("message", { data, source, origin }),
+        ),
+      );
+    }) as Window["postMessage"];
+
+  const hostPostMessage = host.postMessage;
+  host.postMessage = relay(host, viewer);
+  viewer.postMessage = relay(viewer, host);
+
+  const mock = createMockViewer({
+    // no MessageChannel relay here, stay on window messaging
+    transports: [],
+    ...options,
+    host,
+    self: viewer,
+    targetOrigin: origin,
+  });
+
+  return {
+    ...mock,
+    dispose: () => {
+      mock.dispose();
+      host.postMessage = hostPostMessage;
+    },
+  };
+};
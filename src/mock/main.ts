@@ -0,0 +1,54 @@
+import { INSTANCE_PARAM } from "../bridge/instance";
+import { HOST_COMMANDS, type HostCommandType } from "../bridge/protocol";
+import { createMockViewer, type MockViewer } from "./mockViewer";
+
+// Entry for mock-viewer.html. Behaviour is set through the query string:
+//
+//   ?legacy            pre-handshake viewer
+//   &manual            don't boot on load, drive it via window.mockViewer
+//   &commands=a,b      supported commands (default: all)
+//   &fail=a,b          commands answered with an error
+//   &ignore=a,b        commands never answered
+//   &units=A101,A102   unit names listed as clickable buttons
+//   &instance=id       set by the host, echoed on every message
+//   &no-port           don't offer a MessagePort, stay on window messaging
+
+declare global {
+  interface Window {
+    mockViewer?: MockViewer;
+  }
+}
+
+const params = new URLSearchParams(window.location.search);
+
+const commandList = (key: string) =>
+  (params.get(key) ?? "")
+    .split(",")
+    .filter((name): name is HostCommandType =>
+      (HOST_COMMANDS as readonly string[]).includes(name),
+    );
+
+const mock = createMockViewer({
+  host: window.parent,
+  targetOrigin: window.location.origin,
+  instance: params.get(INSTANCE_PARAM) ?? undefined,
+  transports: params.has("no-port") ? [] : ["port"],
+  legacy: params.has("legacy"),
+  commands: params.has("commands") ? commandList("commands") : HOST_COMMANDS,
+  failCommands: commandList("fail"),
+  ignoreCommands: commandList("ignore"),
+});
+window.mockViewer = mock;
+
+const units = (params.get("units") ?? "A101,A102,A201,B101")
+  .split(",")
+  .filter(Boolean);
+const list = document.getElementById("units");
+units.forEach((name) => {
+  const button = document.createElement("button");
+  button.textContent = name;
+  button.addEventListener("click", () => mock.selectUnit(name));
+  list?.append(button);
+});
+
+if (!params.has("manual")) mock.boot();
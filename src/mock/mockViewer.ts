@@ -0,0 +1,273 @@
+import type { Unit } from "../api/types";
+import {
+  SWIRL_ANIMATION,
+  type AnimationDescriptor,
+} from "../bridge/animations";
+import { DEFAULT_CAMERA, type CameraState } from "../bridge/camera";
+import { applyUnitPatches } from "../bridge/patches";
+import { unpackUnitStyles, type UnitStyleMap } from "../bridge/unitStyles";
+import {
+  HOST_COMMANDS,
+  PROTOCOL_VERSION,
+  type HostCommandType,
+  type HostMessage,
+  type Transport,
+} from "../bridge/protocol";
+
+// Stand-in for the real viewer (public/viewer) that speaks the bridge
+// protocol without WebGL. It runs inside the viewer iframe (see
+// mock-viewer.html) or directly against a window in tests, and every step of
+// the boot can be driven by hand.
+
+export type MockViewerOptions = {
+  // window the mock reports to, the host page
+  host: Window;
+  // window the mock receives commands on, its own
+  self?: Window;
+  targetOrigin?: string;
+  // echoed on every message, as passed in the iframe's `?instance=`
+  instance?: string;
+  // offered in `hello`; the host may hand over a MessagePort
+  transports?: readonly Transport[];
+  // behave like a viewer build from before the handshake: no hello, no RPC
+  // replies, progress as strings
+  legacy?: boolean;
+  commands?: readonly HostCommandType[];
+  animations?: AnimationDescriptor[];
+  // commands answered with an rpc-error instead of a result
+  failCommands?: readonly HostCommandType[];
+  // commands received but never answered, to exercise host timeouts
+  ignoreCommands?: readonly HostCommandType[];
+  // send scene-ready as soon as `initialize` arrives
+  autoReady?: boolean;
+};
+
+const PULSE_ANIMATION: AnimationDescriptor = {
+  name: "pulse",
+  label: "Pulse",
+  duration: 2000,
+  params: [
+    { name: "color", label: "Colour", type: "color", default: "#ffcc00" },
+  ],
+};
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createMockViewer = ({
+  host,
+  self = window,
+  targetOrigin = "*",
+  instance,
+  transports = ["port"],
+  legacy = false,
+  commands = HOST_COMMANDS,
+  animations = [SWIRL_ANIMATION, PULSE_ANIMATION],
+  failCommands = [],
+  ignoreCommands = [],
+  autoReady = true,
+}: MockViewerOptions) => {
+  const received: HostMessage[] = [];
+  const waiters = new Set<{
+    type: string;
+    resolve: (message: HostMessage) => void;
+  }>();
+  let camera: CameraState = DEFAULT_CAMERA;
+  let units: Unit[] = [];
+  let styles: UnitStyleMap = {};
+  // null until the first `initialize`
+  let revision: number | null = null;
+  let isSceneReady = false;
+  let port: MessagePort | null = null;
+
+  const post = (message: Record<string, unknown>) => {
+    const payload = legacy
+      ? message
+      : {
+          protocol: PROTOCOL_VERSION,
+          ...message,
+          ...(instance && { instance }),
+        };
+    if (port) {
+      port.postMessage(payload);
+    } else {
+      host.postMessage(payload, targetOrigin);
+    }
+  };
+
+  const reply = (id: string | undefined, result?: unknown) => {
+    if (legacy || id === undefined) return;
+    post({ type: "rpc-result", id, result });
+  };
+
+  const fail = (id: string | undefined, message: string) => {
+    if (legacy || id === undefined) return;
+    post({ type: "rpc-error", id, error: { code: "mock", message } });
+  };
+
+  const sceneReady = () => {
+    if (isSceneReady) return;
+    isSceneReady = true;
+    post({ type: "scene-ready" });
+  };
+
+  // what a viewer does when it notices a gap in the patch revisions
+  const resync = () =>
+    post({ type: "resync", ...(revision !== null && { revision }) });
+
+  const resultFor = (message: HostMessage): unknown => {
+    switch (message.type) {
+      case "getCamera":
+        return camera;
+      case "listAnimations":
+        return animations;
+      default:
+        return undefined;
+    }
+  };
+
+  const apply = (message: HostMessage) => {
+    switch (message.type) {
+      case "initialize":
+        camera = message.data.camera;
+        units = message.data.developmentData.units;
+        revision = message.data.revision;
+        if (autoReady) sceneReady();
+        break;
+      case "patchDevelopment":
+        if (message.data.baseRevision !== revision) {
+          resync();
+          break;
+        }
+        units = applyUnitPatches(units, message.data.patches);
+        revision = message.data.revision;
+        break;
+      case "setUnitStyles":
+        styles = { ...styles, ...message.data.styles };
+        break;
+      case "setUnitColors":
+        styles = {
+          ...styles,
+          ...unpackUnitStyles(message.data.names, message.data.colors),
+        };
+        break;
+      case "setCamera":
+      case "animateCamera":
+        camera = message.data.camera;
+        break;
+      case "playAnimation": {
+        const animation = animations.find(
+          ({ name }) => name === message.data.name,
+        );
+        if (animation?.duration !== undefined && !message.data.loop) {
+          const { name } = animation;
+          setTimeout(
+            () => post({ type: "animation-complete", name }),
+            animation.duration,
+          );
+        }
+        break;
+      }
+    }
+  };
+
+  const receive = (event: MessageEvent) => {
+    const message = event.data as HostMessage;
+    if (!message || typeof message.type !== "string") return;
+    received.push(message);
+    waiters.forEach((waiter) => {
+      if (waiter.type !== message.type) return;
+      waiters.delete(waiter);
+      waiter.resolve(message);
+    });
+    if (message.type === "hello-ack") {
+      port?.close();
+      port = message.data.transport === "port" ? event.ports[0] : null;
+      if (port) port.onmessage = receive;
+      return;
+    }
+    const type = message.type as HostCommandType;
+    if (ignoreCommands.includes(type)) return;
+    if (!commands.includes(type)) {
+      fail(message.id, `mock viewer does not support "${type}"`);
+      return;
+    }
+    if (failCommands.includes(type)) {
+      fail(message.id, `mock failure for "${type}"`);
+      return;
+    }
+    apply(message);
+    reply(message.id, resultFor(message));
+  };
+
+  const handleMessage = (event: MessageEvent) => {
+    if (event.source === host) receive(event);
+  };
+
+  self.addEventListener("message", handleMessage);
+
+  const hello = () => {
+    if (legacy) return;
+    post({
+      type: "hello",
+      protocol: PROTOCOL_VERSION,
+      commands: [...commands],
+      viewerVersion: "mock",
+      transports,
+    });
+  };
+
+  const progress = (value: number) =>
+    post({ type: "loading", v: legacy ? String(value) : value });
+
+  // hello, then progress in steps up to 100; `initialize` and scene-ready
+  // follow once the host reacts. Booting again acts like a viewer that
+  // reloaded itself and starts from an empty scene.
+  const boot = async ({ steps = 4, interval = 50 } = {}) => {
+    isSceneReady = false;
+    hello();
+    for (let step = 0; step <= steps; step++) {
+      progress(Math.round((step / steps) * 100));
+      await wait(interval);
+    }
+  };
+
+  const selectUnit = (name: string) => post({ type: "infoPoint", name });
+
+  const waitFor = <T extends HostMessage["type"]>(type: T) => {
+    const seen = received.find((message) => message.type === type);
+    if (seen) return Promise.resolve(seen as Extract<HostMessage, { type: T }>);
+    return new Promise<Extract<HostMessage, { type: T }>>((resolve) => {
+      waiters.add({
+        type,
+        resolve: resolve as (message: HostMessage) => void,
+      });
+    });
+  };
+
+  const dispose = () => {
+    self.removeEventListener("message", handleMessage);
+    port?.close();
+    port = null;
+    waiters.clear();
+  };
+
+  return {
+    received,
+    hello,
+    progress,
+    sceneReady,
+    boot,
+    selectUnit,
+    resync,
+    // raw post, for sending malformed or out-of-order messages
+    post,
+    waitFor,
+    getCamera: () => camera,
+    getUnits: () => units,
+    getUnitStyles: () => styles,
+    getRevision: () => revision,
+    dispose,
+  };
+};
+
+export type MockViewer = ReturnType<typeof createMockViewer>;
@@ -0,0 +1,133 @@
+import type { Tour, TourCue } from "./types";
+
+export type TourPlayState = "stopped" | "playing" | "paused";
+
+// Cues that describe where the scene should be rather than something that
+// happens; after a seek the latest of each is re-applied so the scene matches
+// the new position.
+type StateCue = Extract<TourCue, { type: "camera" | "highlight" }>;
+
+export type TourPlayerHandlers = {
+  // `seeking` is true when the cue is re-applied after a jump and should be
+  // applied instantly rather than animated
+  onCue: (cue: TourCue, seeking: boolean) => void;
+  onTime: (time: number) => void;
+  onStateChange: (state: TourPlayState) => void;
+};
+
+const TICK = 100;
+
+export const captionAt = (tour: Tour, time: number) => {
+  let text: string | null = null;
+  for (const cue of tour.cues) {
+    if (
+      cue.type === "caption" &&
+      cue.at <= time &&
+      time < cue.at + cue.duration
+    ) {
+      text = cue.text;
+    }
+  }
+  return text;
+};
+
+export const createTourPlayer = (tour: Tour, handlers: TourPlayerHandlers) => {
+  const cues = [...tour.cues].sort((a, b) => a.at - b.at);
+  let state: TourPlayState = "stopped";
+  let time = 0;
+  let nextCue = 0;
+  let lastTick = 0;
+  let timer: ReturnType<typeof setInterval> | null = null;
+
+  const setState = (next: TourPlayState) => {
+    state = next;
+    handlers.onStateChange(next);
+  };
+
+  const clearTimer = () => {
+    if (timer !== null) clearInterval(timer);
+    timer = null;
+  };
+
+  const fireUntil = (until: number) => {
+    while (nextCue < cues.length && cues[nextCue].at <= until) {
+      handlers.onCue(cues[nextCue], false);
+      nextCue += 1;
+    }
+  };
+
+  const stop = () => {
+    clearTimer();
+    time = 0;
+    nextCue = 0;
+    handlers.onTime(0);
+    if (state !== "stopped") setState("stopped");
+  };
+
+  const tick = () => {
+    const now = performance.now();
+    const next = time + (now - lastTick);
+    lastTick = now;
+    if (next < tour.duration) {
+      fireUntil(next);
+      time = next;
+      handlers.onTime(time);
+      return;
+    }
+    fireUntil(tour.duration);
+    if (tour.loop) {
+      time = 0;
+      nextCue = 0;
+      fireUntil(0);
+      handlers.onTime(time);
+      return;
+    }
+    stop();
+  };
+
+  const play = () => {
+    if (state === "playing") return;
+    if (state === "stopped") {
+      time = 0;
+      nextCue = 0;
+      handlers.onTime(0);
+      fireUntil(0);
+    }
+    lastTick = performance.now();
+    timer = setInterval(tick, TICK);
+    setState("playing");
+  };
+
+  const pause = () => {
+    if (state !== "playing") return;
+    clearTimer();
+    setState("paused");
+  };
+
+  const seek = (to: number) => {
+    time = Math.min(Math.max(0, to), tour.duration);
+    nextCue = cues.findIndex((cue) => cue.at > time);
+    if (nextCue === -1) nextCue = cues.length;
+    const latest = new Map<StateCue["type"], StateCue>();
+    for (const cue of cues.slice(0, nextCue)) {
+      if (cue.type === "camera" || cue.type === "highlight") {
+        latest.set(cue.type, cue);
+      }
+    }
+    latest.forEach((cue) => handlers.onCue(cue, true));
+    lastTick = performance.now();
+    handlers.onTime(time);
+    if (state === "stopped") setState("paused");
+  };
+
+  return {
+    play,
+    pause,
+    stop,
+    seek,
+    getState: () => state,
+    getTime: () => time,
+  };
+};
+
+export type TourPlayer = ReturnType<typeof createTourPlayer>;
@@ -0,0 +1,59 @@
+import type { AnimationParams } from "../bridge/animations";
+import type { CameraState, CameraTransition } from "../bridge/camera";
+import { isRecord } from "../bridge/protocol";
+
+// A guided tour is a timeline of cues, each fired when playback reaches its
+// `at` time (milliseconds). Pauses are simply gaps between cues; `duration`
+// is the total length, so a tour can end on a hold.
+
+export type TourCue =
+  | {
+      at: number;
+      type: "camera";
+      // either a named preset or an explicit view
+      preset?: string;
+      camera?: CameraState;
+      transition?: CameraTransition;
+    }
+  | { at: number; type: "highlight"; unit: string | null }
+  | { at: number; type: "animation"; name: string; params?: AnimationParams }
+  | { at: number; type: "caption"; text: string; duration: number };
+
+export type Tour = {
+  id: string;
+  name: string;
+  duration: number;
+  loop?: boolean;
+  // played unattended after a period of inactivity
+  attract?: boolean;
+  cues: TourCue[];
+};
+
+const isCue = (value: unknown): value is TourCue => {
+  if (!isRecord(value) || typeof value.at !== "number" || value.at < 0) {
+    return false;
+  }
+  switch (value.type) {
+    case "camera":
+      return typeof value.preset === "string" || isRecord(value.camera);
+    case "highlight":
+      return typeof value.unit === "string" || value.unit === null;
+    case "animation":
+      return typeof value.name === "string";
+    case "caption":
+      return (
+        typeof value.text === "string" && typeof value.duration === "number"
+      );
+    default:
+      return false;
+  }
+};
+
+export const isTour = (value: unknown): value is Tour =>
+  isRecord(value) &&
+  typeof value.id === "string" &&
+  typeof value.name === "string" &&
+  typeof value.duration === "number" &&
+  value.duration > 0 &&
+  Array.isArray(value.cues) &&
+  value.cues.every(isCue);
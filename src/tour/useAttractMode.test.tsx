@@ -0,0 +1,73 @@
+import { act, renderHook } from "@testing-library/react";
+import type { ReactNode } from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import demo from "../../public/api/developments/demo.json?raw";
+import ViewerProvider from "../bridge/ViewerProvider";
+import { useAttractMode } from "./useAttractMode";
+
+const wrapper = ({ children }: { children: ReactNode }) => (
+  <ViewerProvider developmentId="demo">{children}</ViewerProvider>
+);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.stubGlobal("fetch", async () => new Response(demo));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("useAttractMode", () => {
+  it("comes round again after the attract tour ends by itself", () => {
+    const onIdle = vi.fn();
+    const onActive = vi.fn();
+    const { rerender, unmount } = renderHook(
+      ({ playing }) =>
+        useAttractMode({
+          enabled: true,
+          idleTimeout: 1000,
+          playing,
+          onIdle,
+          onActive,
+        }),
+      { wrapper, initialProps: { playing: false } },
+    );
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(onIdle).toHaveBeenCalledTimes(1);
+    rerender({ playing: true });
+    rerender({ playing: false });
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(onIdle).toHaveBeenCalledTimes(2);
+    expect(onActive).not.toHaveBeenCalled();
+    unmount();
+  });
+
+  it("waits for input again once stopped by the user", () => {
+    const onIdle = vi.fn();
+    const onActive = vi.fn();
+    const { unmount } = renderHook(
+      () =>
+        useAttractMode({
+          enabled: true,
+          idleTimeout: 1000,
+          playing: false,
+          onIdle,
+          onActive,
+        }),
+      { wrapper },
+    );
+
+    act(() => vi.advanceTimersByTime(1000));
+    act(() => {
+      window.dispatchEvent(new Event("keydown"));
+    });
+    expect(onActive).toHaveBeenCalledOnce();
+    act(() => vi.advanceTimersByTime(999));
+    expect(onIdle).toHaveBeenCalledOnce();
+    unmount();
+  });
+});
@@ -0,0 +1,88 @@
+import { useEffect, useRef } from "react";
+import { useViewerEvent } from "../bridge/hooks";
+
+const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "wheel",
+  "touchstart",
+] as const;
+
+export const ATTRACT_IDLE_TIMEOUT =
+  Number(import.meta.env.VITE_ATTRACT_IDLE_TIMEOUT) || 120_000;
+
+type AttractModeOptions = {
+  enabled: boolean;
+  idleTimeout?: number;
+  // whether what `onIdle` started is still running
+  playing: boolean;
+  onIdle: () => void;
+  onActive: () => void;
+};
+
+// Calls `onIdle` after `idleTimeout` without user input and `onActive` on the
+// first input after that. Clicks inside the viewer iframe never reach this
+// window, so selections reported by the viewer count as activity too. When
+// `playing` drops back to false on its own (a non-looping tour ended) the idle
+// timer starts over, so the attract tour comes round again.
+export const useAttractMode = ({
+  enabled,
+  idleTimeout = ATTRACT_IDLE_TIMEOUT,
+  playing,
+  onIdle,
+  onActive,
+}: AttractModeOptions) => {
+  const callbacks = useRef({ onIdle, onActive });
+  useEffect(() => {
+    callbacks.current = { onIdle, onActive };
+  });
+  const activity = useRef<() => void>(() => {});
+  const finished = useRef<() => void>(() => {});
+
+  useViewerEvent("infoPoint", () => activity.current());
+
+  useEffect(() => {
+    if (!enabled) return;
+    let idle = false;
+    let timer: ReturnType<typeof setTimeout>;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        idle = true;
+        callbacks.current.onIdle();
+      }, idleTimeout);
+    };
+    const handleActivity = () => {
+      if (idle) {
+        idle = false;
+        callbacks.current.onActive();
+      }
+      arm();
+    };
+    activity.current = handleActivity;
+    finished.current = () => {
+      if (!idle) return;
+      idle = false;
+      arm();
+    };
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, handleActivity, { passive: true }),
+    );
+    arm();
+    return () => {
+      clearTimeout(timer);
+      activity.current = () => {};
+      finished.current = () => {};
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleActivity),
+      );
+    };
+  }, [enabled, idleTimeout]);
+
+  const wasPlaying = useRef(playing);
+  useEffect(() => {
+    if (wasPlaying.current && !playing) finished.current();
+    wasPlaying.current = playing;
+  }, [playing]);
+};
@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_TRANSITION, findPreset } from "../bridge/camera";
+import { useAnimations, useCamera, useViewerBridge } from "../bridge/hooks";
+import {
+  captionAt,
+  createTourPlayer,
+  type TourPlayer,
+  type TourPlayState,
+} from "./player";
+import { isTour, type TourCue } from "./types";
+
+const report = (error: unknown) => console.warn("[tour]", error);
+
+export const useTour = () => {
+  const { status, call, selectUnit } = useViewerBridge();
+  const camera = useCamera();
+  const { play: playAnimation } = useAnimations();
+  const tours = useMemo(
+    () => (status.developmentData?.tours ?? []).filter(isTour),
+    [status.developmentData],
+  );
+  const [tourId, setTourId] = useState<string | null>(null);
+  const [state, setState] = useState<TourPlayState>("stopped");
+  const [time, setTime] = useState(0);
+  const player = useRef<TourPlayer | null>(null);
+
+  const runCue = (cue: TourCue, seeking: boolean) => {
+    switch (cue.type) {
+      case "camera": {
+        const preset = cue.preset
+          ? findPreset(camera.presets, cue.preset)
+          : null;
+        const view = preset?.camera ?? cue.camera;
+        if (!view) {
+          report(`unknown camera preset "${cue.preset}"`);
+          return;
+        }
+        if (seeking) {
+          camera.set(view).catch(report);
+        } else if (preset) {
+          camera.goToPreset(preset.id).catch(report);
+        } else {
+          camera
+            .animateTo(view, cue.transition ?? DEFAULT_TRANSITION)
+            .catch(report);
+        }
+        return;
+      }
+      case "highlight":
+        selectUnit(cue.unit);
+        if (cue.unit && !seeking) {
+          call("focusUnit", { name: cue.unit }).catch(report);
+        }
+        return;
+      case "animation":
+        if (!seeking) playAnimation(cue.name, cue.params).catch(report);
+        return;
+      case "caption":
+        // captions are derived from the playhead, see captionAt
+        return;
+    }
+  };
+  const runCueRef = useRef(runCue);
+  useEffect(() => {
+    runCueRef.current = runCue;
+  });
+
+  useEffect(() => () => player.current?.stop(), []);
+
+  const start = useCallback(
+    (id: string) => {
+      const tour = tours.find((candidate) => candidate.id === id);
+      if (!tour) {
+        report(`unknown tour "${id}"`);
+        return;
+      }
+      player.current?.stop();
+      player.current = createTourPlayer(tour, {
+        onCue: (cue, seeking) => runCueRef.current(cue, seeking),
+        onTime: setTime,
+        onStateChange: setState,
+      });
+      setTourId(id);
+      player.current.play();
+    },
+    [tours],
+  );
+
+  const pause = useCallback(() => player.current?.pause(), []);
+  const resume = useCallback(() => player.current?.play(), []);
+  const stop = useCallback(() => player.current?.stop(), []);
+  const seek = useCallback((to: number) => player.current?.seek(to), []);
+
+  const tour = tours.find((candidate) => candidate.id === tourId) ?? null;
+
+  return {
+    tours,
+    tour,
+    state,
+    time,
+    caption: tour && state !== "stopped" ? captionAt(tour, time) : null,
+    start,
+    pause,
+    resume,
+    stop,
+    seek,
+  };
+};
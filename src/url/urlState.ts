@@ -0,0 +1,93 @@
+import { EMPTY_FILTERS, type UnitFilters } from "../api/filters";
+import { ORIENTATIONS, UNIT_STATUSES, type UnitStatus } from "../api/types";
+
+// Everything needed to reopen the app on the same view, kept in the query
+// string so links survive being pasted into email and chat.
+//
+//   ?unit=B1204&view=balcony&beds=2,3&minPrice=300000&status=available
+
+export type PanelId = "list";
+
+export type UrlState = {
+  unit: string | null;
+  view: string | null;
+  filters: UnitFilters;
+  panels: PanelId[];
+};
+
+export const DEFAULT_PANELS: PanelId[] = ["list"];
+
+const PANELS: readonly PanelId[] = ["list"];
+
+const readList = (params: URLSearchParams, key: string) =>
+  (params.get(key) ?? "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const readNumbers = (params: URLSearchParams, key: string) =>
+  readList(params, key)
+    .map(Number)
+    .filter((value) => Number.isFinite(value));
+
+const readNumber = (params: URLSearchParams, key: string) => {
+  const value = params.get(key);
+  return value === null || value.trim() === "" || !Number.isFinite(+value)
+    ? null
+    : Number(value);
+};
+
+const readEnum = <T extends string>(
+  params: URLSearchParams,
+  key: string,
+  allowed: readonly T[],
+) =>
+  readList(params, key).filter((value): value is T =>
+    (allowed as readonly string[]).includes(value),
+  );
+
+export const parseUrlState = (search: string): UrlState => {
+  const params = new URLSearchParams(search);
+  return {
+    unit: params.get("unit") || null,
+    view: params.get("view") || null,
+    filters: {
+      search: params.get("q") ?? EMPTY_FILTERS.search,
+      bedrooms: readNumbers(params, "beds"),
+      minPrice: readNumber(params, "minPrice"),
+      maxPrice: readNumber(params, "maxPrice"),
+      floors: readNumbers(params, "floor"),
+      statuses: readEnum<UnitStatus>(params, "status", UNIT_STATUSES),
+      orientations: readEnum(params, "orientation", ORIENTATIONS),
+    },
+    panels: params.has("panels")
+      ? readEnum(params, "panels", PANELS)
+      : DEFAULT_PANELS,
+  };
+};
+
+export const serializeUrlState = ({
+  unit,
+  view,
+  filters,
+  panels,
+}: UrlState) => {
+  const params = new URLSearchParams();
+  const set = (key: string, value: string | number | null) => {
+    if (value !== null && value !== "") params.set(key, String(value));
+  };
+  set("unit", unit);
+  set("view", view);
+  set("q", filters.search.trim());
+  set("beds", filters.bedrooms.join(","));
+  set("minPrice", filters.minPrice);
+  set("maxPrice", filters.maxPrice);
+  set("floor", filters.floors.join(","));
+  set("status", filters.statuses.join(","));
+  set("orientation", filters.orientations.join(","));
+  if (panels.join(",") !== DEFAULT_PANELS.join(",")) {
+    params.set("panels", panels.join(","));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { useCamera, useViewerBridge } from "../bridge/hooks";
+import { reportRpcError } from "../bridge/rpc";
+import { serializeUrlState, type PanelId, type UrlState } from "./urlState";
+
+// Replays the unit and camera view from the URL once the scene is ready, then
+// keeps the URL in step with the current selection, view, filters and panels.
+// Filters don't need the scene and are passed to the provider up front.
+export const useUrlStateSync = (initial: UrlState, panels: PanelId[]) => {
+  const { status, call, selectUnit } = useViewerBridge();
+  const { activeUnit, filters, cameraPreset, capabilities } = status;
+  const { goToPreset } = useCamera();
+  const [restored, setRestored] = useState(
+    () => !initial.unit && !initial.view,
+  );
+
+  useEffect(() => {
+    if (restored || !status.isSceneReady || !status.developmentData) return;
+    setRestored(true);
+    if (initial.view && capabilities?.commands.has("animateCamera")) {
+      goToPreset(initial.view).catch(reportRpcError);
+    }
+    if (initial.unit) {
+      selectUnit(initial.unit);
+      // an explicit view wins over flying to the unit
+      if (!initial.view && capabilities?.commands.has("focusUnit")) {
+        call("focusUnit", { name: initial.unit }).catch(reportRpcError);
+      }
+    }
+  }, [
+    restored,
+    status.isSceneReady,
+    status.developmentData,
+    capabilities,
+    initial,
+    goToPreset,
+    selectUnit,
+    call,
+  ]);
+
+  useEffect(() => {
+    if (!restored) return;
+    const search = serializeUrlState({
+      unit: activeUnit,
+      view: cameraPreset,
+      filters,
+      panels,
+    });
+    if (search === window.location.search) return;
+    window.history.replaceState(
+      window.history.state,
+      "",
+      `${window.location.pathname}${search}${window.location.hash}`,
+    );
+  }, [restored, activeUnit, cameraPreset, filters, panels]);
+};
@@ -1 +1,16 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  readonly VITE_VIEWER_SRC?: string;
+  readonly VITE_VIEWER_ALLOWED_ORIGINS?: string;
+  readonly VITE_DEVELOPMENT_API_URL?: string;
+  readonly VITE_DEVELOPMENT_ID?: string;
+  readonly VITE_LIVE_UPDATES_URL?: string;
+  readonly VITE_RESERVATION_API_URL?: string;
+  readonly VITE_ATTRACT_IDLE_TIMEOUT?: string;
+  readonly VITE_SESSION_RECORDER?: string;
+}
+
+interface ImportMeta {
+  readonly env: ImportMetaEnv;
+}
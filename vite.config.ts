@@ -1,16 +1,19 @@
 /* eslint-disable @typescript-eslint/ban-ts-comment */
+/// <reference types="vitest/config" />
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import glsl from "vite-plugin-glsl";
+import { mockLiveUpdates } from "./mockLiveUpdates";
 //@ts-ignore
 import { fileURLToPath } from "url";
 //@ts-ignore
 import { dirname } from "path";
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [
     react(),
+    mockLiveUpdates(),
     glsl({
       include: [
         "**/*.glsl",
@@ -40,4 +43,27 @@ export default defineConfig({
     },
   },
   assetsInclude: ["**/*.vert", "**/*.frag"],
-});
+  test: {
+    environment: "jsdom",
+    // no live feed in tests, see src/api/live.ts
+    env: { VITE_LIVE_UPDATES_URL: "" },
+  },
+  // `vite build --mode embed` builds the <development-viewer> element as a
+  // standalone library for partner sites instead of the app.
+  ...(mode === "embed" && {
+    define: {
+      // React isn't externalised, and lib builds leave this untouched
+      "process.env.NODE_ENV": JSON.stringify("production"),
+    },
+    build: {
+      outDir: "dist/embed",
+      copyPublicDir: false,
+      lib: {
+        entry: "src/embed/index.ts",
+        name: "DevelopmentViewer",
+        formats: ["es", "iife"],
+        fileName: (format) => `development-viewer.${format}.js`,
+      },
+    },
+  }),
+}));